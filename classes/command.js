@@ -4,6 +4,7 @@ module.exports = class Command extends require("./template.js") {
 	name;
 	description = null;
 	params = [];
+	permission = "everyone";
 	code;
 
 	data = {};
@@ -19,6 +20,12 @@ module.exports = class Command extends require("./template.js") {
 
 		this.description = data.description;
 
+		this.permission = data.permission ?? "everyone";
+		if (!Command.permissions.includes(this.permission)) {
+			console.error(`Unknown permission "${this.permission}" for ${this.name}, only admins will be able to use it`);
+			this.permission = "admin";
+		}
+
 		if (data.params !== null) {
 			let params = data.params;
 			if (typeof params === "string") {
@@ -84,21 +91,11 @@ module.exports = class Command extends require("./template.js") {
 			switch (param.type) {
 				case "string":
 					if (param.accounts) {
-						const accounts = app.HoyoLab.getActiveAccounts({ blacklist: ["honkai", "tot"]});
-
-						if (accounts.length === 0) {
-							continue;
-						}
-
-						const choices = accounts.map(i => ({
-							name: `(${app.HoyoLab.getRegion(i.region)}) ${i.game.short} - (${i.uid}) ${i.nickname}`,
-							value: i.uid
-						}));
-
+						// Choices depend on the invoking user, so they are provided through autocomplete
 						option = builder.addStringOption(opt =>
 							opt.setName(param.name)
 								.setDescription(param.description)
-								.addChoices(choices)
+								.setAutocomplete(true)
 								.setRequired(param.required ?? false)
 						);
 					}
@@ -135,6 +132,8 @@ module.exports = class Command extends require("./template.js") {
 		return builder;
 	}
 
+	static permissions = ["everyone", "owner", "admin"];
+
 	static async initialize () {
 		return this;
 	}
@@ -198,6 +197,13 @@ module.exports = class Command extends require("./template.js") {
 			};
 		}
 
+		if (options.platform && !Command.hasPermission(command, options.platform, userData)) {
+			return {
+				success: false,
+				reply: "You don't have permission to use this command."
+			};
+		}
+
 		const appendOptions = { ...options };
 		const contextOptions = {
 			platform: options.platform,
@@ -215,9 +221,20 @@ module.exports = class Command extends require("./template.js") {
 			.map(i => i.replace(whitespaceRegex, ""))
 			.filter(Boolean);
 
+		if (!options.interaction) {
+			const resolution = Command.resolveAccountArguments(command, args, {
+				platform: options.platform,
+				user: userData
+			});
+			if (resolution.success === false) {
+				return resolution;
+			}
+		}
+
 		let execution;
 		try {
-			execution = await command.code(contextOptions, ...args);
+			// Requests made by commands are sent before the ones made by crons
+			execution = await app.Got.scheduler.run("interactive", () => command.code(contextOptions, ...args));
 			if (execution instanceof Message) {
 				return;
 			}
@@ -258,6 +275,145 @@ module.exports = class Command extends require("./template.js") {
 		return execution;
 	}
 
+	/**
+	 * Lists the accounts that can be selected by a command parameter with `accounts: true`.
+	 * @param {Object} [options]
+	 * @param {string} [options.game] Only list accounts of this game
+	 * @param {Platform} [options.platform] Only list accounts the user may access on this platform
+	 * @param {Object} [options.user]
+	 * @returns {{ name: string, value: string, game: string }[]} `value` is the UID, `game` the platform of the account
+	 */
+	static getAccountChoices (options = {}) {
+		let accounts = (options.game)
+			? app.HoyoLab.getActiveAccounts({ whitelist: options.game })
+			: app.HoyoLab.getActiveAccounts({ blacklist: ["honkai", "tot"]});
+
+		if (options.platform) {
+			accounts = accounts.filter(i => options.platform.canAccess(i, options.user));
+		}
+
+		return accounts.map(i => ({
+			name: `(${app.HoyoLab.getRegion(i.region)}) ${i.game.short} - (${i.uid}) ${i.nickname}`,
+			value: i.uid,
+			game: i.platform
+		}));
+	}
+
+	/**
+	 * Text based platforms cannot offer Discord's account choice list, so an `accounts: true`
+	 * argument may be given as a UID or as the number of the account in the list.
+	 * Parameters with `multiple: true` accept a comma separated list of either.
+	 * Resolves those arguments to UIDs in place, or returns the list of accounts to choose from.
+	 * @param {Command} command
+	 * @param {string[]} args
+	 * @param {Object} [options] Passed on to `getAccountChoices`
+	 * @returns {{ success: boolean, reply?: string }}
+	 */
+	static resolveAccountArguments (command, args, options = {}) {
+		const params = command.params ?? [];
+		for (let index = 0; index < params.length; index++) {
+			const param = params[index];
+			if (!param.accounts) {
+				continue;
+			}
+
+			const game = params.find(i => i.name === "game" && i !== param);
+			const gameArg = (game) ? args[params.indexOf(game)] : null;
+			const choices = Command.getAccountChoices({
+				...options,
+				game: (gameArg) ? Command.normalizeGame(gameArg) : undefined
+			});
+
+			const value = args[index];
+			const list = choices.map((i, idx) => `${idx + 1}. ${i.name}`).join("\n");
+			if (!value) {
+				if (!param.required) {
+					continue;
+				}
+
+				return {
+					success: false,
+					reply: (choices.length === 0)
+						? "There are no accounts available for this command."
+						: `Please select an account by its number or UID:\n${list}`
+				};
+			}
+
+			const values = (param.multiple) ? value.split(",").filter(Boolean) : [value];
+			const resolved = [];
+			for (const item of values) {
+				const position = Number(item);
+				if (choices.some(i => i.value === item)) {
+					resolved.push(item);
+				}
+				else if (Number.isInteger(position) && position >= 1 && position <= choices.length) {
+					resolved.push(choices[position - 1].value);
+				}
+				else {
+					return {
+						success: false,
+						reply: `Unknown account "${item}". Please select an account by its number or UID:\n${list}`
+					};
+				}
+			}
+
+			args[index] = resolved.join(",");
+		}
+
+		return { success: true };
+	}
+
+	/**
+	 * Returns the active accounts the invoking user may access, see `HoyoLab.getActiveAccounts` for the options.
+	 * @param {Object} context Command context
+	 * @param {Object} [options]
+	 * @returns {Object[]}
+	 */
+	static getAccounts (context, options = {}) {
+		const accounts = app.HoyoLab.getActiveAccounts(options);
+		if (!context.platform) {
+			return accounts;
+		}
+
+		return accounts.filter(i => context.platform.canAccess(i, context.user));
+	}
+
+	/**
+	 * Checks the command's `permission` level for the invoking user:
+	 * - `everyone`: no restriction
+	 * - `owner`: the user must be able to access at least one account
+	 * - `admin`: the user must be an admin of the platform
+	 * @param {Command} command
+	 * @param {Platform} platform
+	 * @param {Object} userData
+	 * @returns {boolean}
+	 */
+	static hasPermission (command, platform, userData) {
+		if (command.permission === "everyone" || platform.isAdmin(userData)) {
+			return true;
+		}
+		else if (command.permission === "owner") {
+			return app.HoyoLab.getActiveAccounts().some(i => platform.canAccess(i, userData));
+		}
+
+		return false;
+	}
+
+	static normalizeGame (game) {
+		const name = game.toLowerCase();
+		if (name === "zenless" || name === "zzz") {
+			return "nap";
+		}
+		else if (name === "hsr") {
+			return "starrail";
+		}
+		else if (name === "gi") {
+			return "genshin";
+		}
+
+		return name;
+	}
+
 	static is (string) {
 		const prefix = Command.getPrefix();
 		if (prefix === null) {
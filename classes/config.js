@@ -1,3 +1,72 @@
+const file = require("node:fs");
+const JSON5 = require("json5");
+
+// Settings of the accounts an identity creates, unless the identity overrides them.
+// Tears of Themis has no game record to discover roles from, so it has to be enabled explicitly.
+const IDENTITY_GAMES = {
+	genshin: {
+		enabled: true,
+		settings: {
+			redeemCode: false,
+			dailiesCheck: true,
+			weekliesCheck: true,
+			realm: { check: false, persistent: false },
+			stamina: { check: false, threshold: 150, persistent: false },
+			expedition: { check: false, persistent: false }
+		}
+	},
+	starrail: {
+		enabled: true,
+		settings: {
+			redeemCode: false,
+			dailiesCheck: true,
+			weekliesCheck: true,
+			stamina: { check: false, threshold: 230, persistent: false },
+			reserve: { check: false, persistent: false },
+			expedition: { check: false, persistent: false }
+		}
+	},
+	zenless: {
+		enabled: true,
+		settings: {
+			redeemCode: false,
+			shopStatus: false,
+			dailiesCheck: true,
+			stamina: { check: false, threshold: 200, persistent: false }
+		}
+	},
+	honkai: {
+		enabled: true,
+		settings: {}
+	},
+	termis: {
+		enabled: false,
+		settings: {}
+	}
+};
+
+const OWNER_KEYS = ["discord", "telegram", "email", "quietHours"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Merges plain objects recursively, later sources win. Arrays and other values are replaced.
+ * @param {...Object} sources
+ * @returns {Object}
+ */
+const merge = (...sources) => {
+	const result = {};
+	for (const source of sources) {
+		for (const [key, value] of Object.entries(source ?? {})) {
+			result[key] = (isObject(value) && isObject(result[key]))
+				? merge(result[key], value)
+				: structuredClone(value);
+		}
+	}
+
+	return result;
+};
+
 module.exports = class Config extends require("./template.js") {
 	#name;
 	#value;
@@ -23,6 +92,7 @@ module.exports = class Config extends require("./template.js") {
 
 	static async load (data) {
 		const loaded = new Set();
+		Config.data.clear();
 
 		for (const [name, value] of Object.entries(data)) {
 			const object = new Config({ name, value });
@@ -32,6 +102,154 @@ module.exports = class Config extends require("./template.js") {
 		}
 	}
 
+	/**
+	 * Reads and parses a JSON5 configuration file.
+	 * @param {string} path
+	 * @returns {Object}
+	 */
+	static read (path) {
+		try {
+			return JSON5.parse(file.readFileSync(path));
+		}
+		catch (e) {
+			throw new app.Error({
+				message: "Failed to read configuration file",
+				args: { path },
+				cause: e
+			});
+		}
+	}
+
+	/**
+	 * Checks the parts of the configuration that must be consistent before any of it can be applied.
+	 * Platform and account settings are validated by their constructors.
+	 * @param {Object} data
+	 */
+	static validate (data) {
+		if (!data || typeof data !== "object") {
+			throw new app.Error({
+				message: "Configuration must be an object"
+			});
+		}
+
+		for (const key of ["platforms", "accounts"]) {
+			const list = data[key];
+			if (!Array.isArray(list)) {
+				throw new app.Error({
+					message: `Configuration "${key}" must be an array`,
+					args: { type: typeof list }
+				});
+			}
+
+			const ids = list.map(i => i?.id);
+			const invalid = ids.filter(i => typeof i !== "number");
+			const duplicates = ids.filter((i, index) => ids.indexOf(i) !== index);
+			if (invalid.length !== 0 || duplicates.length !== 0) {
+				throw new app.Error({
+					message: `Every entry in "${key}" must have a unique numeric id`,
+					args: { invalid, duplicates }
+				});
+			}
+
+			const missingType = list.filter(i => typeof i.type !== "string").map(i => i.id);
+			if (missingType.length !== 0) {
+				throw new app.Error({
+					message: `Every entry in "${key}" must have a type`,
+					args: { ids: missingType }
+				});
+			}
+		}
+
+		if (!data.crons || typeof data.crons !== "object") {
+			throw new app.Error({
+				message: "Configuration \"crons\" must be an object"
+			});
+		}
+	}
+
+	/**
+	 * Expands the `identities` of a configuration into account entries. An identity is one HoYoLAB
+	 * cookie with its owner and default settings, it gets an entry in the account definition of
+	 * every enabled game and the game logs into every role it finds for it, narrowed down by `roles`.
+	 * Entries are appended to the first active definition of their type, or to a new definition with
+	 * the next free id if there is none.
+	 * @param {Object} data
+	 * @returns {Object} A copy of the configuration, unchanged if it has no identities
+	 */
+	static expandIdentities (data) {
+		const identities = data.identities ?? [];
+		if (!Array.isArray(identities)) {
+			throw new app.Error({
+				message: "Configuration \"identities\" must be an array",
+				args: { type: typeof identities }
+			});
+		}
+
+		const result = structuredClone(data);
+		const accounts = result.accounts ?? [];
+		let nextId = Math.max(0, ...accounts.map(i => i?.id).filter(i => typeof i === "number")) + 1;
+
+		for (const [index, identity] of identities.entries()) {
+			if (!isObject(identity) || typeof identity.cookie !== "string") {
+				throw new app.Error({
+					message: "Every identity must be an object with a cookie",
+					args: { index }
+				});
+			}
+
+			const games = identity.games ?? {};
+			const unknown = Object.keys(games).filter(i => !IDENTITY_GAMES[i]);
+			if (!isObject(games) || unknown.length !== 0) {
+				throw new app.Error({
+					message: "Invalid games provided for identity",
+					args: {
+						index,
+						unknown,
+						supportedGames: Object.keys(IDENTITY_GAMES)
+					}
+				});
+			}
+
+			if (identity.active === false || identity.cookie.length === 0) {
+				continue;
+			}
+
+			const name = identity.name ?? `Identity #${index + 1}`;
+			const owner = Object.fromEntries(OWNER_KEYS.filter(i => i in identity).map(i => [i, identity[i]]));
+
+			for (const [type, game] of Object.entries(IDENTITY_GAMES)) {
+				const options = games[type] ?? game.enabled;
+				if (options === false) {
+					continue;
+				}
+
+				const overrides = (isObject(options)) ? options : {};
+				const entry = merge(game.settings, identity.defaults, owner, overrides, {
+					cookie: identity.cookie,
+					identity: name,
+					roles: overrides.roles ?? identity.roles ?? null
+				});
+
+				let definition = accounts.find(i => i.active && i.type === type);
+				if (!definition) {
+					definition = {
+						id: nextId++,
+						active: true,
+						type,
+						data: []
+					};
+
+					accounts.push(definition);
+				}
+
+				definition.data.push(entry);
+			}
+		}
+
+		result.accounts = accounts;
+		return result;
+	}
+
 	static has (name) {
 		const target = Config.get(name);
 
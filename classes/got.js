@@ -1,4 +1,7 @@
+const RequestScheduler = require("./request-scheduler.js");
+
 const nameSymbol = Symbol.for("name");
+const scheduledSymbol = Symbol("scheduled");
 
 let gotModule;
 let gotRequestErrors;
@@ -10,6 +13,7 @@ const sanitize = (string) => string
 class StaticGot {
 	static importable = true;
 	static uniqueIdentifier = nameSymbol;
+	static scheduler = new RequestScheduler();
 
 	static async initialize () {
 		gotModule ??= await import("got");
@@ -137,6 +141,7 @@ class StaticGot {
 		}
 
 		instance[nameSymbol] = definition.name;
+		instance[scheduledSymbol] = (definition.scheduled === true);
 
 		return instance;
 	}
@@ -176,7 +181,11 @@ module.exports = new Proxy(StaticGot, {
 
 		if (typeof args[0] === "string") {
 			const instance = StaticGot.get(args[0]);
-			if (instance) {
+			const url = options?.url ?? args[1];
+			if (instance?.[scheduledSymbol] && (typeof url === "string" || url instanceof URL)) {
+				return StaticGot.scheduler.request(() => instance(...args.slice(1)), url, options);
+			}
+			else if (instance) {
 				return instance(...args.slice(1));
 			}
 		}
@@ -0,0 +1,293 @@
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+const PRIORITIES = {
+	interactive: 0,
+	background: 1
+};
+
+const DEFAULT_HOST_LIMIT = {
+	limit: 5,
+	interval: 1000
+};
+
+const DEFAULT_ENDPOINT_LIMITS = [
+	// Redeeming codes faster than this puts the account into a redemption cooldown (-2016)
+	{ path: "/common/apicdkey/api/webExchangeCdkey", limit: 1, interval: 6000 }
+];
+
+const BUSY_RETCODE = -1048;
+const DAILY_LIMIT_RETCODE = -10101;
+const MAX_BUSY_RETRIES = 3;
+const BACKOFF_BASE = 2000;
+const BACKOFF_MAX = 60000;
+
+const COOKIE_USER_REGEX = /(?:ltuid_v2|account_id_v2|ltuid|account_id)=(\d+)/;
+
+/**
+ * HoYoLAB resets its daily limits at midnight UTC+8.
+ * @returns {number}
+ */
+const getNextReset = () => {
+	const reset = new Date();
+	reset.setUTCHours(16, 0, 0, 0);
+	if (reset.getTime() <= Date.now()) {
+		reset.setUTCDate(reset.getUTCDate() + 1);
+	}
+
+	return reset.getTime();
+};
+
+/**
+ * Throttles requests with token buckets per host and per configured endpoint.
+ * Requests wait in a queue ordered by priority, so interactive commands are sent before crons.
+ * The priority is taken from the async context, see `RequestScheduler#run`.
+ */
+module.exports = class RequestScheduler {
+	#storage = new AsyncLocalStorage();
+	/** @type {Map<string, { limit: number, interval: number, tokens: number, updated: number, blockedUntil: number, failures: number }>} */
+	#buckets = new Map();
+	/** @type {Map<string, { until: number, response: Object }>} */
+	#limited = new Map();
+	#waiting = [];
+	#sequence = 0;
+	#timer = null;
+
+	static priorities = Object.keys(PRIORITIES);
+
+	/**
+	 * Checks the `rateLimits` config. A bucket needs at least one request per interval and an
+	 * interval above zero, otherwise it never refills.
+	 * @param {Object} [rateLimits]
+	 */
+	static validateLimits (rateLimits) {
+		if (rateLimits === undefined || rateLimits === null) {
+			return;
+		}
+		else if (typeof rateLimits !== "object") {
+			throw new app.Error({
+				message: "Configuration \"rateLimits\" must be an object",
+				args: { type: typeof rateLimits }
+			});
+		}
+
+		const isValid = (i) => typeof i?.limit === "number" && Number.isFinite(i.limit) && i.limit >= 1
+			&& typeof i.interval === "number" && Number.isFinite(i.interval) && i.interval > 0;
+
+		if (rateLimits.host !== undefined && !isValid(rateLimits.host)) {
+			throw new app.Error({
+				message: "Invalid rateLimits.host provided, expected a limit of at least 1 and an interval above 0 ms.",
+				args: { host: rateLimits.host }
+			});
+		}
+
+		const { endpoints } = rateLimits;
+		if (endpoints === undefined) {
+			return;
+		}
+		else if (!Array.isArray(endpoints)) {
+			throw new app.Error({
+				message: "Invalid rateLimits.endpoints provided, expected an array.",
+				args: { type: typeof endpoints }
+			});
+		}
+
+		const invalid = endpoints.filter(i => typeof i?.path !== "string" || i.path.length === 0 || !isValid(i));
+		if (invalid.length !== 0) {
+			throw new app.Error({
+				message: "Invalid rateLimits.endpoints provided, every endpoint needs a path, a limit of at least 1 and an interval above 0 ms.",
+				args: { endpoints: invalid }
+			});
+		}
+	}
+
+	get priority () {
+		return this.#storage.getStore() ?? "background";
+	}
+
+	/**
+	 * Runs a callback, every request it makes is scheduled with the given priority.
+	 * @param {"interactive"|"background"} priority
+	 * @param {Function} callback
+	 * @returns {*} Return value of the callback
+	 */
+	run (priority, callback) {
+		if (!RequestScheduler.priorities.includes(priority)) {
+			throw new app.Error({
+				message: "Invalid request priority provided.",
+				args: {
+					priority,
+					supportedPriorities: RequestScheduler.priorities
+				}
+			});
+		}
+
+		return this.#storage.run(priority, callback);
+	}
+
+	/**
+	 * Sends a request once its buckets allow it. Responses with the "API system is busy" retcode
+	 * pause the host with an exponential backoff and are retried. Once an account hits the daily limit
+	 * of an endpoint, its further requests to it are answered with that response until the daily reset.
+	 * @param {function(): Promise<Object>} send Performs the request
+	 * @param {string|URL} url
+	 * @param {Object} [options] Request options, used to identify the account by its cookie
+	 * @returns {Promise<Object>} Response
+	 */
+	async request (send, url, options = {}) {
+		const { hostname, pathname } = new URL(url);
+		const hostKey = `host:${hostname}`;
+		const endpoint = this.#getEndpointLimit(pathname);
+		const endpointKey = (endpoint) ? `endpoint:${hostname}${pathname}` : null;
+
+		const user = String(options.headers?.Cookie ?? options.headers?.cookie ?? "").match(COOKIE_USER_REGEX)?.[1];
+		const limitKey = (user) ? `${hostname}${pathname}:${user}` : null;
+
+		const limited = (limitKey) ? this.#limited.get(limitKey) : null;
+		if (limited && limited.until > Date.now()) {
+			return limited.response;
+		}
+
+		const buckets = [{ key: hostKey, ...this.#getHostLimit() }];
+		if (endpointKey) {
+			buckets.push({ key: endpointKey, ...endpoint });
+		}
+
+		for (let attempt = 0; ; attempt++) {
+			await this.#acquire(buckets);
+
+			const res = await send();
+			const retcode = res?.body?.retcode;
+			if (retcode === BUSY_RETCODE) {
+				const delay = this.#backoff(hostKey);
+				app.Logger.warn("RequestScheduler", `${hostname} is busy, pausing requests for ${delay}ms`);
+
+				if (attempt < MAX_BUSY_RETRIES) {
+					continue;
+				}
+
+				return res;
+			}
+
+			this.#buckets.get(hostKey).failures = 0;
+			if (retcode === DAILY_LIMIT_RETCODE && limitKey) {
+				app.Logger.warn("RequestScheduler", `Daily limit of ${pathname} reached for ${user}, skipping it until the daily reset`);
+				this.#limited.set(limitKey, {
+					until: getNextReset(),
+					response: res
+				});
+			}
+
+			return res;
+		}
+	}
+
+	#getHostLimit () {
+		return app.Config.get("rateLimits")?.host ?? DEFAULT_HOST_LIMIT;
+	}
+
+	#getEndpointLimit (pathname) {
+		const endpoints = app.Config.get("rateLimits")?.endpoints ?? DEFAULT_ENDPOINT_LIMITS;
+		return endpoints.find(i => pathname.includes(i.path)) ?? null;
+	}
+
+	#getBucket ({ key, limit, interval }, now) {
+		let bucket = this.#buckets.get(key);
+		if (!bucket) {
+			bucket = {
+				limit,
+				interval,
+				tokens: limit,
+				updated: now,
+				blockedUntil: 0,
+				failures: 0
+			};
+
+			this.#buckets.set(key, bucket);
+		}
+
+		// Limits may change with a config reload
+		bucket.limit = limit;
+		bucket.interval = interval;
+
+		const refilled = (now - bucket.updated) * (limit / interval);
+		bucket.tokens = Math.min(limit, bucket.tokens + refilled);
+		bucket.updated = now;
+
+		return bucket;
+	}
+
+	#getDelay (bucket, now) {
+		if (bucket.blockedUntil > now) {
+			return bucket.blockedUntil - now;
+		}
+		else if (bucket.tokens >= 1) {
+			return 0;
+		}
+
+		return Math.ceil((1 - bucket.tokens) * (bucket.interval / bucket.limit));
+	}
+
+	#backoff (key) {
+		const bucket = this.#buckets.get(key);
+		bucket.failures++;
+
+		const delay = Math.min(BACKOFF_BASE * (2 ** (bucket.failures - 1)), BACKOFF_MAX);
+		bucket.blockedUntil = Date.now() + delay;
+
+		return delay;
+	}
+
+	#acquire (buckets) {
+		return new Promise((resolve) => {
+			this.#waiting.push({
+				rank: PRIORITIES[this.priority],
+				sequence: this.#sequence++,
+				buckets,
+				resolve
+			});
+
+			this.#drain();
+		});
+	}
+
+	#drain () {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+
+		this.#waiting.sort((a, b) => (a.rank - b.rank) || (a.sequence - b.sequence));
+
+		const now = Date.now();
+		const blocked = new Set();
+		let wait = Infinity;
+
+		for (const waiter of [...this.#waiting]) {
+			const buckets = waiter.buckets.map(i => this.#getBucket(i, now));
+
+			// A request must not overtake an earlier or more important one waiting for the same bucket
+			if (buckets.some(i => blocked.has(i))) {
+				continue;
+			}
+
+			const delay = Math.max(...buckets.map(i => this.#getDelay(i, now)));
+			if (delay > 0) {
+				for (const bucket of buckets) {
+					blocked.add(bucket);
+				}
+
+				wait = Math.min(wait, delay);
+				continue;
+			}
+
+			for (const bucket of buckets) {
+				bucket.tokens -= 1;
+			}
+
+			this.#waiting.splice(this.#waiting.indexOf(waiter), 1);
+			waiter.resolve();
+		}
+
+		if (this.#waiting.length !== 0 && wait !== Infinity) {
+			this.#timer = setTimeout(() => this.#drain(), wait);
+		}
+	}
+};
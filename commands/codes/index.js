@@ -0,0 +1,107 @@
+const MAX_ENTRIES = 20;
+
+const STATUS_LABELS = {
+	redeemed: "Redeemed",
+	pending: "Retrying",
+	failed: "Failed",
+	expired: "Expired"
+};
+
+const formatEntry = (entry) => {
+	const age = app.Utils.formatTime(Math.floor((Date.now() - entry.timestamp) / 1000));
+	const details = [`${entry.attempts} attempt${entry.attempts === 1 ? "" : "s"}`, `${age} ago`];
+	if (entry.reason) {
+		details.unshift(entry.reason);
+	}
+
+	return `${entry.code}: ${STATUS_LABELS[entry.status]} (${details.join(", ")})`;
+};
+
+module.exports = {
+	name: "codes",
+	description: "Check which codes have been redeemed for your accounts.",
+	permission: "owner",
+	params: [
+		{
+			name: "game",
+			description: "The game you want to check codes for.",
+			type: "string",
+			choices: [
+				{ name: "Genshin Impact", value: "genshin" },
+				{ name: "Honkai: Star Rail", value: "starrail" },
+				{ name: "Zenless Zone Zero", value: "nap" }
+			],
+			required: true
+		},
+		{
+			name: "account",
+			description: "Select the account you want to check codes for, defaults to all of them.",
+			type: "string",
+			required: false,
+			accounts: true
+		}
+	],
+	run: (async function codes (context, game, uid) {
+		const { interaction } = context;
+
+		if (!game) {
+			const message = "Please specify a game. Supported games are: genshin, starrail, nap";
+			return interaction
+				? interaction.reply({ content: message, ephemeral: true })
+				: { success: false, reply: message };
+		}
+
+		game = app.Command.normalizeGame(game);
+		if (!["genshin", "starrail", "nap"].includes(game)) {
+			const message = "Codes are only tracked for genshin, starrail and nap.";
+			return interaction
+				? interaction.reply({ content: message, ephemeral: true })
+				: { success: false, reply: message };
+		}
+
+		const accounts = app.Command.getAccounts(context, (uid) ? { whitelist: game, uid } : { whitelist: game });
+		if (accounts.length === 0) {
+			const message = (uid) ? "You don't have access to this account." : "You don't have any accounts for this game.";
+			return interaction
+				? interaction.reply({ content: message, ephemeral: true })
+				: { success: false, reply: message };
+		}
+
+		const sections = [];
+		for (const account of accounts) {
+			const entries = await app.CodeLedger.list(game, account.uid);
+			const lines = entries.slice(0, MAX_ENTRIES).map(i => formatEntry(i));
+			if (entries.length > MAX_ENTRIES) {
+				lines.push(`...and ${entries.length - MAX_ENTRIES} more`);
+			}
+
+			sections.push({
+				account,
+				text: (lines.length === 0) ? "No codes have been redeemed yet." : lines.join("\n")
+			});
+		}
+
+		if (interaction) {
+			const embeds = sections.slice(0, 10).map(i => ({
+				color: i.account.assets.color,
+				title: `(${i.account.uid}) ${i.account.nickname}`,
+				author: {
+					name: i.account.game.name,
+					icon_url: i.account.assets.logo
+				},
+				description: i.text.slice(0, 4096),
+				timestamp: new Date()
+			}));
+
+			return await interaction.reply({
+				embeds,
+				ephemeral: true
+			});
+		}
+
+		return {
+			success: true,
+			reply: sections.map(i => `(${i.account.uid}) ${i.account.nickname}\n${i.text}`).join("\n\n")
+		};
+	})
+};
@@ -118,9 +118,34 @@ const createEmbed = (type, diary, options = {}) => {
 	}
 };
 
+const createText = (type, diary, options = {}) => {
+	const account = options.account;
+	const platform = options.platform;
+
+	const { data } = diary;
+	const { currentMonth, lastMonth } = data;
+
+	const [currency, extra, decrease] = (type === "genshin")
+		? ["primo", "mora", data.primoIncomeDecreasePercentage]
+		: ["jades", "pass", data.jadeIncomeDecreasePercentage];
+
+	const currencyName = (type === "genshin") ? "Primos" : "Jades";
+	const extraName = (type === "genshin") ? "Mora" : "Pass";
+
+	return [
+		`${account.nickname}'s Diary - ${platform.fullName}`,
+		`${currencyName} income is decreased by ${decrease}% compared to last month.`,
+		`Obtained This Month: ${currencyName}: ${currentMonth[currency].totalNum}, ${extraName}: ${currentMonth[extra]}`,
+		`Obtained Last Month: ${currencyName}: ${lastMonth[currency].totalNum}, ${extraName}: ${lastMonth[extra]}`,
+		"Current Month Breakdown:",
+		...currentMonth[currency].actionPercentages.map(item => `${item.category}: ${item.total} (${item.percentage}%)`)
+	].join("\n");
+};
+
 module.exports = {
 	name: "diary",
 	description: "Check your total amount of incoming monthly resources.",
+	permission: "owner",
 	params: [
 		{
 			name: "game",
@@ -143,18 +168,47 @@ module.exports = {
 	run: (async function notes (context, game, uid) {
 		const { interaction } = context;
 
-		const account = app.HoyoLab.getAccountById(uid);
+		if (!game || !uid) {
+			return { success: false, reply: "Please specify a game and an account." };
+		}
+
+		game = game.toLowerCase() === "hsr" ? "starrail" : game.toLowerCase();
+		if (game !== "genshin" && game !== "starrail") {
+			return { success: false, reply: "Diary is only available for genshin and starrail." };
+		}
+
+		const [account] = app.Command.getAccounts(context, { uid });
+		if (!account) {
+			const message = "You don't have access to this account.";
+			return interaction
+				? interaction.reply({ content: message, ephemeral: true })
+				: { success: false, reply: message };
+		}
 		if (account.platform !== game) {
-			return interaction.reply({ content: "This account does not belong to the selected game.", ephemeral: true });
+			const message = "This account does not belong to the selected game.";
+			return interaction
+				? interaction.reply({ content: message, ephemeral: true })
+				: { success: false, reply: message };
 		}
 
 		const platform = app.HoyoLab.get(account.platform);
 
-		await interaction.deferReply({ ephemeral: true });
+		if (interaction) {
+			await interaction.deferReply({ ephemeral: true });
+		}
 
 		const diary = await platform.diary(account);
 		if (diary.success === false) {
-			return interaction.editReply({ content: "Something went wrong.", ephemeral: true });
+			return interaction
+				? interaction.editReply({ content: "Something went wrong.", ephemeral: true })
+				: { success: false, reply: "Something went wrong." };
+		}
+
+		if (!interaction) {
+			return {
+				success: true,
+				reply: createText(account.platform, diary, { account, platform })
+			};
 		}
 
 		const embedData = createEmbed(account.platform, diary, { account, platform });
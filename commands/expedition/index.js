@@ -1,4 +1,4 @@
-const getExpeditionEmbedData = async (accounts, game, platformId) => {
+const getExpeditionData = async (accounts, game, options = {}) => {
 	const data = [];
 	for (const account of accounts) {
 		if (!account.expedition.check) {
@@ -20,10 +20,10 @@ const getExpeditionEmbedData = async (accounts, game, platformId) => {
 	}
 
 	if (data.length === 0) {
-		return [];
+		return (options.embeds) ? [] : "";
 	}
 
-	if (platformId === 1) {
+	if (options.embeds) {
 		const embedData = [];
 		for (const expedition of data) {
 			const expeditionList = expedition.list.map((expedition) => ({
@@ -69,6 +69,7 @@ const getExpeditionEmbedData = async (accounts, game, platformId) => {
 module.exports = {
 	name: "expedition",
 	description: "Check the status of your expedition.",
+	permission: "owner",
 	params: [
 		{
 			name: "game",
@@ -111,7 +112,7 @@ module.exports = {
 
 		game = game.toLowerCase();
 
-		const accounts = app.HoyoLab.getActiveAccounts({ whitelist: game });
+		const accounts = app.Command.getAccounts(context, { whitelist: game });
 		if (accounts.length === 0) {
 			const message = "You don't have any accounts for this game.";
 			return interaction
@@ -119,7 +120,7 @@ module.exports = {
 				: { success: false, reply: message };
 		}
 
-		const result = await getExpeditionEmbedData(accounts, game, context.platform.id);
+		const result = await getExpeditionData(accounts, game, { embeds: Boolean(interaction) });
 
 		if (interaction) {
 			if (result.length === 0) {
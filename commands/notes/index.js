@@ -1,5 +1,10 @@
-const getNotesEmbedData = async (accounts, game, platformId) => {
-	const embedData = [];
+const formatReserve = (stamina) => {
+	const full = (stamina.isReserveStaminaFull) ? " (Full)" : "";
+	return `${stamina.reserveStamina}/${stamina.maxReserveStamina}${full}`;
+};
+
+const getNotesData = async (accounts, game, options = {}) => {
+	const result = [];
 	for (const account of accounts) {
 		const { stamina, expedition } = account;
 		if (!stamina.check && !expedition.check) {
@@ -12,7 +17,7 @@ const getNotesEmbedData = async (accounts, game, platformId) => {
 			continue;
 		}
 
-		if (platformId === 1) {
+		if (options.embeds) {
 			const region = app.HoyoLab.getRegion(account.region);
 			const { data } = notes;
 			const { stamina, dailies, weeklies, expedition, realm } = data;
@@ -75,6 +80,7 @@ const getNotesEmbedData = async (accounts, game, platformId) => {
 				);
 			}
 			else if (platform.gameId === 6) {
+				embed.fields[0].value += `\nReserve: ${formatReserve(stamina)}`;
 				embed.fields.push(
 					{
 						name: "Dailies",
@@ -124,12 +130,11 @@ const getNotesEmbedData = async (accounts, game, platformId) => {
 				);
 			}
 
-			embedData.push(embed);
+			result.push(embed);
 		}
-		else if (platformId === 2) {
+		else {
 			const { data } = notes;
 			const { stamina, dailies, weeklies, expedition } = data;
-			const telegram = app.Platform.get(2);
 
 			let message = "";
 			if (platform.gameId === 2) {
@@ -153,6 +158,7 @@ const getNotesEmbedData = async (accounts, game, platformId) => {
 					`${account.nickname} - ${account.uid}`,
 					`Current Stamina: ${stamina.currentStamina}/${stamina.maxStamina}`
 					+ `\nFull in: ${app.Utils.formatTime(stamina.recoveryTime)}`,
+					`Reserve Stamina: ${formatReserve(stamina)}`,
 					"Expedition Status",
 					expedition.list.map((i, idx) => `Account ${idx + 1} - ${app.Utils.formatTime(i.remaining_time)}`).join("\n"),
 					`Dailies: ${dailies.task}/${dailies.maxTask}`,
@@ -178,17 +184,17 @@ const getNotesEmbedData = async (accounts, game, platformId) => {
 				].join("\n");
 			}
 
-			const escapedMessage = app.Utils.escapeCharacters(message);
-			await telegram.send(escapedMessage);
+			result.push(message);
 		}
 	}
 
-	return embedData;
+	return result;
 };
 
 module.exports = {
 	name: "notes",
 	description: "Check your HoyoLab notes.",
+	permission: "owner",
 	params: [
 		{
 			name: "game",
@@ -240,7 +246,7 @@ module.exports = {
 				: { success: false, reply: message.replace(/nap/, "zenless") };
 		}
 
-		const accounts = app.HoyoLab.getActiveAccounts({ whitelist: game, uid });
+		const accounts = app.Command.getAccounts(context, { whitelist: game, uid });
 		if (accounts.length === 0) {
 			const message = "You don't have any accounts for that game.";
 			return interaction
@@ -260,10 +266,16 @@ module.exports = {
 			}
 		}
 
-		const embedData = await getNotesEmbedData(accounts, game, context.platform.id);
+		const notesData = await getNotesData(accounts, game, { embeds: Boolean(interaction) });
 
 		if (interaction) {
-			await interaction.reply({ embeds: embedData, ephemeral: true });
+			await interaction.reply({ embeds: notesData, ephemeral: true });
+		}
+		else if (notesData.length === 0) {
+			return { success: false, reply: "No notes data found for this type of account." };
+		}
+		else {
+			return { success: true, reply: notesData.join("\n\n") };
 		}
 	})
 };
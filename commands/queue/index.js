@@ -0,0 +1,111 @@
+const CODE_REGEX = /^[A-Z0-9]{4,32}$/;
+
+const reply = (interaction, success, message) => (interaction)
+	? interaction.reply({ content: message, ephemeral: true })
+	: { success, reply: message };
+
+const listQueue = async (game, accounts) => {
+	const uids = accounts.map(i => i.uid);
+	const queue = Object.values(await app.CodeLedger.getQueue(game))
+		.filter(i => i.uids === null || i.uids.some(uid => uids.includes(uid)));
+
+	if (queue.length === 0) {
+		return "No codes are queued for your accounts.";
+	}
+
+	const lines = queue.map(i => {
+		const targets = (i.uids === null) ? "all accounts" : i.uids.filter(uid => uids.includes(uid)).join(", ");
+		return `${i.code}: ${targets}`;
+	});
+
+	return `Queued codes:\n${lines.join("\n")}`;
+};
+
+module.exports = {
+	name: "queue",
+	description: "Queue codes to be redeemed for all or some of your accounts.",
+	permission: "owner",
+	params: [
+		{
+			name: "game",
+			description: "The game you want to queue codes for.",
+			type: "string",
+			choices: [
+				{ name: "Genshin Impact", value: "genshin" },
+				{ name: "Honkai: Star Rail", value: "starrail" },
+				{ name: "Zenless Zone Zero", value: "nap" }
+			],
+			required: true
+		},
+		{
+			name: "codes",
+			description: "Codes separated by commas. Leave empty to show the queued codes.",
+			type: "string",
+			required: false
+		},
+		{
+			name: "accounts",
+			description: "Accounts separated by commas, defaults to all of your accounts.",
+			type: "string",
+			required: false,
+			accounts: true,
+			multiple: true
+		}
+	],
+	run: (async function queue (context, game, codes, uids) {
+		const { interaction, platform, user } = context;
+
+		if (!game) {
+			return reply(interaction, false, "Please specify a game. Supported games are: genshin, starrail, nap");
+		}
+
+		game = app.Command.normalizeGame(game);
+		if (!["genshin", "starrail", "nap"].includes(game)) {
+			return reply(interaction, false, "Codes can only be queued for genshin, starrail and nap.");
+		}
+
+		const accounts = app.Command.getAccounts(context, { whitelist: game });
+		if (accounts.length === 0) {
+			return reply(interaction, false, "You don't have any accounts for this game.");
+		}
+
+		if (!codes) {
+			return reply(interaction, true, await listQueue(game, accounts));
+		}
+
+		let targets = null;
+		if (uids) {
+			targets = [...new Set(uids.split(",").map(i => i.trim()).filter(Boolean))];
+			if (targets.some(uid => !accounts.some(i => i.uid === uid))) {
+				return reply(interaction, false, "You don't have access to this account.");
+			}
+		}
+		else if (platform && !platform.isAdmin(user)) {
+			// Only admins may queue codes for accounts that are added later or belong to someone else
+			targets = accounts.map(i => i.uid);
+		}
+
+		const list = [...new Set(codes.toUpperCase().split(/[\s,]+/).filter(Boolean))];
+		const invalid = list.filter(i => !CODE_REGEX.test(i));
+		if (invalid.length !== 0) {
+			return reply(interaction, false, `Invalid codes: ${invalid.join(", ")}`);
+		}
+
+		const expired = await app.CodeLedger.getExpired(game);
+		const queued = list.filter(i => !expired[i]);
+		if (queued.length !== 0) {
+			await app.CodeLedger.enqueue(game, queued, targets);
+		}
+
+		const lines = [];
+		if (queued.length !== 0) {
+			const recipients = (targets === null) ? "all accounts" : `${targets.length} account${targets.length === 1 ? "" : "s"}`;
+			lines.push(`Queued ${queued.join(", ")} for ${recipients}. They will be redeemed on the next code redeem run.`);
+		}
+		if (queued.length !== list.length) {
+			lines.push(`Skipped expired codes: ${list.filter(i => expired[i]).join(", ")}`);
+		}
+
+		return reply(interaction, queued.length !== 0, lines.join("\n"));
+	})
+};
@@ -1,6 +1,7 @@
 module.exports = {
 	name: "redeem",
 	description: "Redeem provided codes for the specified game.",
+	permission: "owner",
 	params: [
 		{
 			name: "game",
@@ -75,8 +76,14 @@ module.exports = {
 			};
 		}
 
-		if (game === "zenless" || game === "zzz") {
-			game = "nap";
+		game = app.Command.normalizeGame(game);
+
+		const [account] = app.Command.getAccounts(context, { whitelist: game, uid });
+		if (!account) {
+			const message = "You don't have access to this account.";
+			return interaction
+				? interaction.reply({ content: message, ephemeral: true })
+				: { success: false, reply: message };
 		}
 
 		code = code.toUpperCase();
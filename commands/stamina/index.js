@@ -23,7 +23,7 @@ const getStaminaData = async (accounts, game) => {
 
 const formatStaminaMessage = (data, discord = false) => {
 	let text = "";
-	for (const { uid, region, username, currentStamina, maxStamina, recoveryTime, reserveStamina } of data) {
+	for (const { uid, region, username, currentStamina, maxStamina, recoveryTime, reserveStamina, maxReserveStamina, isReserveStaminaFull } of data) {
 		const delta = app.Utils.formatTime(recoveryTime);
 		const fixedRegion = app.HoyoLab.getRegion(region);
 
@@ -34,7 +34,7 @@ const formatStaminaMessage = (data, discord = false) => {
 		];
 
 		if (reserveStamina !== null && typeof reserveStamina !== "undefined") {
-			description.push(`Reserve Stamina: ${reserveStamina}`);
+			description.push(`Reserve Stamina: ${reserveStamina}/${maxReserveStamina}${(isReserveStaminaFull) ? " (Full)" : ""}`);
 		}
 
 		text += `${description.join("\n")}\n\n`;
@@ -45,6 +45,7 @@ const formatStaminaMessage = (data, discord = false) => {
 module.exports = {
 	name: "stamina",
 	description: "Check your specified game stamina",
+	permission: "owner",
 	params: [
 		{
 			name: "game",
@@ -88,7 +89,7 @@ module.exports = {
 				: { success: false, reply: message.replace(/nap/, "zenless") };
 		}
 
-		const accounts = app.HoyoLab.getActiveAccounts({ whitelist: game });
+		const accounts = app.Command.getAccounts(context, { whitelist: game });
 		if (accounts.length === 0) {
 			const message = "You don't have any accounts for that game.";
 			return interaction
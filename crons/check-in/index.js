@@ -31,61 +31,39 @@ module.exports = {
 		for (let i = 0; i < messages.length; i++) {
 			const message = messages[i];
 
-			const webhook = app.Platform.get(3);
-			if (webhook) {
-				let fields = [
-					{ name: "UID", value: message.uid, inline: true },
-					{ name: "Username", value: message.username, inline: true },
-					{ name: "Region", value: message.region, inline: true },
-					{ name: "Rank", value: message.rank, inline: true },
-					{ name: "Today's Reward", value: `${message.award.name} x${message.award.count}`, inline: true },
-					{ name: "Total Sign-ins", value: message.total, inline: true },
-					{ name: "Result", value: message.result, inline: true }
-				];
+			let fields = [
+				{ name: "UID", value: message.uid },
+				{ name: "Username", value: message.username },
+				{ name: "Region", value: message.region },
+				{ name: "Rank", value: message.rank },
+				{ name: "Today's Reward", value: `${message.award.name} x${message.award.count}` },
+				{ name: "Total Sign-ins", value: message.total },
+				{ name: "Result", value: message.result }
+			];
 
-				if (message.platform === "tot") {
-					fields = fields.filter(i => i.name !== "Username" && i.name !== "Rank");
-				}
-
-				const embed = {
-					color: message.assets.color,
-					title: message.assets.game,
-					author: {
-						name: message.assets.author,
-						icon_url: message.assets.logo
-					},
-					thumbnail: {
-						url: message.award.icon
-					},
-					fields,
-					timestamp: new Date(),
-					footer: {
-						text: `HoyoLab Auto Check-In (${i + 1}/${messages.length}) Executed`,
-						icon_url: message.assets.logo
-					}
-				};
-
-				await webhook.send(embed, {
-					author: message.assets.author,
-					icon: message.assets.logo
-				});
+			if (message.platform === "tot") {
+				fields = fields.filter(i => i.name !== "Username" && i.name !== "Rank");
 			}
 
-			const telegram = app.Platform.get(2);
-			if (telegram) {
-				const messageText = [
-					`🎮 **${message.assets.game}** Daily Check-In`,
-					`🆔 **(${message.uid})** ${message.username}`,
-					`🌍 **Region:** ${message.region}`,
-					`🏆 **Rank:** ${message.rank}`,
-					`🎁 **Today's Reward:** ${message.award.name} x${message.award.count}`,
-					`📅 **Total Sign-ins:** ${message.total}`,
-					`📝 **Result:** ${message.result}`
-				].join("\n");
+			// Pings the owner of each account with its own result, like the reminders do
+			const account = app.HoyoLab.getAccountById(String(message.uid), message.platform);
 
-				const escapedMessage = app.Utils.escapeCharacters(messageText);
-				await telegram.send(escapedMessage);
-			}
+			await app.Platform.notify("check-in", {
+				title: `${message.assets.game} Daily Check-In`,
+				game: message.assets.game,
+				author: message.assets.author,
+				icon: message.assets.logo,
+				thumbnail: message.award.icon,
+				color: message.assets.color,
+				footer: `HoyoLab Auto Check-In (${i + 1}/${messages.length}) Executed`,
+				mention: account,
+				fields,
+				data: {
+					total: message.total,
+					result: message.result,
+					award: message.award
+				}
+			});
 		}
 	})
 };
@@ -25,54 +25,27 @@ module.exports = {
 			return;
 		}
 
+		// Manually queued codes are redeemed even when no source reports any code
 		const codes = await fetchCodes();
 		if (Object.values(codes).every((i) => i.length === 0)) {
 			app.Logger.debug("CodeRedeem", {
 				message: "No codes found"
 			});
-
-			return;
-		}
-
-		const result = await checkAndRedeem(codes);
-		if (typeof result === "undefined") {
-			return;
 		}
 
-		const { success, failed } = result;
+		const { success, failed } = await checkAndRedeem(codes);
 		if (success.length === 0 && failed.length === 0) {
 			return;
 		}
 
-		const telegram = app.Platform.get(2);
-		const webhook = app.Platform.get(3);
-
-		if (telegram) {
-			for (const data of success) {
-				const message = buildMessage(true, data);
-				const escapedMessage = app.Utils.escapeCharacters(message.telegram);
-
-				await telegram.send(escapedMessage);
-			}
-
-			for (const data of failed) {
-				const message = buildMessage(false, data);
-				const escapedMessage = app.Utils.escapeCharacters(message.telegram);
-
-				await telegram.send(escapedMessage);
-			}
+		for (const data of success) {
+			const message = buildMessage(true, data);
+			await app.Platform.notify("code-redeem", message);
 		}
 
-		if (webhook) {
-			for (const data of success) {
-				const message = buildMessage(true, data);
-				await webhook.send(message.embed);
-			}
-
-			for (const data of failed) {
-				const message = buildMessage(false, data);
-				await webhook.send(message.embed);
-			}
+		for (const data of failed) {
+			const message = buildMessage(false, data);
+			await app.Platform.notify("code-redeem", message);
 		}
 	}
 };
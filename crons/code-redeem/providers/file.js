@@ -0,0 +1,48 @@
+const JSON5 = require("json5");
+
+/**
+ * Reads codes from a local file, either a JSON5 array like the JSON source accepts
+ * (objects may set `expired: true`), or plain text with one code per line and `#` comments.
+ */
+module.exports = class FileProvider extends require("./template.js") {
+	constructor (config) {
+		if (!config.file) {
+			throw new app.Error({
+				message: "File code source requires a file",
+				args: { config }
+			});
+		}
+
+		super("file", config);
+	}
+
+	async fetch () {
+		const content = await this.load();
+		if (/\.json5?$/i.test(this.file)) {
+			const list = JSON5.parse(content);
+			if (!Array.isArray(list)) {
+				throw new app.Error({
+					message: "Code file must contain an array",
+					args: { file: this.file }
+				});
+			}
+
+			return list.map(i => {
+				const item = (typeof i === "string") ? { code: i } : i;
+				return {
+					code: item?.code,
+					rewards: (Array.isArray(item?.rewards)) ? item.rewards : [],
+					expired: item?.expired === true
+				};
+			}).filter(i => typeof i.code === "string" && i.code.length !== 0);
+		}
+
+		return content.split("\n")
+			.map(i => i.replace(/#.*$/, "").trim())
+			.filter(Boolean)
+			.map(code => ({
+				code,
+				rewards: []
+			}));
+	}
+};
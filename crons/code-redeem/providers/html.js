@@ -0,0 +1,42 @@
+/**
+ * Scrapes codes from a web page. Only the text of elements matching `selector` is searched,
+ * so the selector should be as narrow as the page allows.
+ */
+module.exports = class HtmlProvider extends require("./template.js") {
+	#selector;
+
+	constructor (config) {
+		// Pages and feeds are full of IDs and hashes that look like codes, the pattern has to tell them apart
+		if (!config.pattern) {
+			throw new app.Error({
+				message: "HTML code source requires a pattern",
+				args: { config }
+			});
+		}
+
+		super("html", config);
+
+		if (!config.selector) {
+			throw new app.Error({
+				message: "HTML code source requires a selector",
+				args: { name: this.name }
+			});
+		}
+
+		this.#selector = config.selector;
+	}
+
+	async fetch () {
+		const $ = app.Utils.cheerio(await this.load());
+
+		const codes = [];
+		$(this.#selector).each((index, element) => {
+			codes.push(...this.extractCodes($(element).text()));
+		});
+
+		return [...new Set(codes)].map(code => ({
+			code,
+			rewards: []
+		}));
+	}
+};
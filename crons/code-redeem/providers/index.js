@@ -0,0 +1,8 @@
+const CodeProvider = require("./template.js");
+
+CodeProvider.register("json", require("./json.js"));
+CodeProvider.register("rss", require("./rss.js"));
+CodeProvider.register("html", require("./html.js"));
+CodeProvider.register("file", require("./file.js"));
+
+module.exports = CodeProvider;
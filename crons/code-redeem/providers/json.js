@@ -0,0 +1,60 @@
+const resolvePath = (object, path) => path.split(".").filter(Boolean).reduce((acc, key) => acc?.[key], object);
+
+/**
+ * Reads codes from a JSON API. `path` points at the array of codes inside the response,
+ * its entries are either code strings or objects with `code` and `rewards` properties.
+ * The optional array at `expiredPath` lists codes the API knows to have expired.
+ */
+module.exports = class JsonProvider extends require("./template.js") {
+	#path;
+	#expiredPath;
+	#codeField;
+	#rewardsField;
+
+	constructor (config) {
+		super("json", config);
+
+		this.#path = config.path ?? "active";
+		this.#expiredPath = config.expiredPath ?? "inactive";
+		this.#codeField = config.codeField ?? "code";
+		this.#rewardsField = config.rewardsField ?? "rewards";
+	}
+
+	async fetch () {
+		const body = JSON.parse(await this.load());
+
+		const list = resolvePath(body, this.#path);
+		if (!Array.isArray(list)) {
+			throw new app.Error({
+				message: "Code source returned malformed data",
+				args: {
+					name: this.name,
+					path: this.#path
+				}
+			});
+		}
+
+		const expired = (this.#expiredPath) ? resolvePath(body, this.#expiredPath) : null;
+		return [
+			...list.map(i => this.parseItem(i, false)),
+			...((Array.isArray(expired)) ? expired.map(i => this.parseItem(i, true)) : [])
+		].filter(i => typeof i.code === "string" && i.code.length !== 0);
+	}
+
+	parseItem (item, expired) {
+		if (typeof item === "string") {
+			return {
+				code: item,
+				rewards: [],
+				expired
+			};
+		}
+
+		const rewards = item?.[this.#rewardsField];
+		return {
+			code: item?.[this.#codeField],
+			rewards: (Array.isArray(rewards)) ? rewards : [],
+			expired
+		};
+	}
+};
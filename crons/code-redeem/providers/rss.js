@@ -0,0 +1,35 @@
+/**
+ * Extracts codes from the titles and contents of RSS and Atom feed entries.
+ */
+module.exports = class RssProvider extends require("./template.js") {
+	constructor (config) {
+		// Pages and feeds are full of IDs and hashes that look like codes, the pattern has to tell them apart
+		if (!config.pattern) {
+			throw new app.Error({
+				message: "RSS code source requires a pattern",
+				args: { config }
+			});
+		}
+
+		super("rss", config);
+	}
+
+	async fetch () {
+		const $ = app.Utils.cheerio(await this.load(), { xml: true });
+
+		const codes = [];
+		$("item, entry").each((index, element) => {
+			const entry = $(element);
+			const text = ["title", "description", "summary", "content"]
+				.map(i => entry.children(i).text())
+				.join("\n");
+
+			codes.push(...this.extractCodes(text));
+		});
+
+		return [...new Set(codes)].map(code => ({
+			code,
+			rewards: []
+		}));
+	}
+};
@@ -0,0 +1,160 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+let version;
+
+module.exports = class CodeProvider {
+	#type;
+	#name;
+	#url;
+	#file;
+	#trust;
+	#pattern;
+
+	/** @type {Map<string, typeof CodeProvider>} */
+	static types = new Map();
+
+	constructor (type, config) {
+		this.#type = type;
+		this.#url = config.url ?? null;
+		this.#file = config.file ?? null;
+		if (!this.#url && !this.#file) {
+			throw new app.Error({
+				message: "Code source requires either a url or a file",
+				args: { type, config }
+			});
+		}
+
+		this.#trust = config.trust ?? 1;
+		if (typeof this.#trust !== "number" || this.#trust < 0) {
+			throw new app.Error({
+				message: "Code source trust must be a non-negative number",
+				args: { type, trust: this.#trust }
+			});
+		}
+
+		this.#name = config.name ?? `${type}:${(this.#file) ? path.basename(this.#file) : new URL(this.#url).hostname}`;
+		if (config.pattern) {
+			try {
+				this.#pattern = new RegExp(config.pattern, "g");
+			}
+			catch (e) {
+				throw new app.Error({
+					message: "Code source pattern is not a valid regular expression",
+					args: { name: this.#name, pattern: config.pattern },
+					cause: e
+				});
+			}
+		}
+		else {
+			this.#pattern = null;
+		}
+	}
+
+	get type () { return this.#type; }
+	get name () { return this.#name; }
+	get url () { return this.#url; }
+	get file () { return this.#file; }
+	get trust () { return this.#trust; }
+
+	/**
+	 * Fetches the codes currently reported by this source.
+	 * @abstract
+	 * @returns {Promise<{ code: string, rewards: string[], expired?: boolean }[]>}
+	 */
+	async fetch () {
+		throw new app.Error({
+			message: "Fetch method not implemented by the code source"
+		});
+	}
+
+	/**
+	 * Loads the raw source content. A configured `file` takes precedence over the `url`,
+	 * which lets every source type be pointed at a local fixture.
+	 * @returns {Promise<string>}
+	 */
+	async load () {
+		if (this.#file) {
+			return await fs.readFile(this.#file, "utf8");
+		}
+
+		const res = await app.Got("API", {
+			url: this.#url,
+			responseType: "text",
+			throwHttpErrors: false,
+			headers: {
+				"User-Agent": CodeProvider.userAgent
+			}
+		});
+
+		if (res.statusCode !== 200) {
+			throw new app.Error({
+				message: "Code source returned non-200 status code",
+				args: {
+					name: this.#name,
+					statusCode: res.statusCode
+				}
+			});
+		}
+
+		return res.body;
+	}
+
+	/**
+	 * Finds every string in free-form text that matches the `pattern` of the source. If the pattern
+	 * has a capture group, e.g. to match the text around a code, the first group is the code.
+	 * @param {string} text
+	 * @returns {string[]}
+	 */
+	extractCodes (text) {
+		if (!this.#pattern) {
+			throw new app.Error({
+				message: "Code source has no pattern to find codes with",
+				args: { name: this.#name }
+			});
+		}
+
+		const codes = [...String(text).matchAll(this.#pattern)].map(i => (i[1] ?? i[0]).trim());
+		return [...new Set(codes)].filter(Boolean);
+	}
+
+	static get userAgent () {
+		if (typeof version === "undefined") {
+			try {
+				const { execSync } = require("node:child_process");
+				const hash = execSync("git rev-parse --short HEAD").toString().trim();
+
+				version = `HoyoLabAuto@${hash}`;
+			}
+			catch {
+				version = "HoyoLabAuto";
+			}
+		}
+
+		return version;
+	}
+
+	/**
+	 * Registers a source type, e.g. to replace a built-in type with a mock.
+	 * @param {string} type
+	 * @param {typeof CodeProvider} Provider
+	 */
+	static register (type, Provider) {
+		CodeProvider.types.set(type, Provider);
+	}
+
+	static create (config) {
+		const Provider = CodeProvider.types.get(config?.type);
+		if (!Provider) {
+			throw new app.Error({
+				message: "Invalid code source type provided.",
+				args: {
+					type: config?.type,
+					supportedTypes: [...CodeProvider.types.keys()]
+				}
+			});
+		}
+
+		return new Provider(config);
+	}
+};
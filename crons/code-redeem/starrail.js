@@ -1,52 +1,3 @@
-let version;
-
-const fetchData = async () => {
-	if (typeof version === "undefined") {
-		try {
-			const { execSync } = require("child_process");
-			const hash = execSync("git rev-parse --short HEAD").toString().trim();
-
-			version = `HoyoLabAuto@${hash}`;
-		}
-		catch {
-			version = "HoyoLabAuto";
-		}
-	}
-
-	const res = await app.Got("API", {
-		url: "https://api.ennead.cc/mihoyo/starrail/codes",
-		responseType: "json",
-		throwHttpErrors: false,
-		headers: {
-			"User-Agent": version
-		}
-	});
-
-	if (res.statusCode !== 200) {
-		app.Logger.debug("StarRailAPI", {
-			statusCode: res.statusCode
-		});
-
-		return [];
-	}
-
-	const codes = res.body.active;
-	if (!Array.isArray(codes)) {
-		app.Logger.debug("StarRailAPI", {
-			message: "API returned malformed data",
-			body: res.body
-		});
-
-		return [];
-	}
-
-	return codes.map((i) => ({
-		code: i.code,
-		rewards: i.rewards,
-		source: "starrail-api"
-	}));
-};
-
 const redeemCodes = async (accountData, code) => {
 	const Cookie = app.HoyoLab.parseCookie(accountData.cookie, {
 		whitelist: ["cookie_token_v2", "account_mid_v2", "account_id_v2", "cookie_token", "account_id"]
@@ -85,6 +36,7 @@ const redeemCodes = async (accountData, code) => {
 
 		return {
 			success: false,
+			retcode,
 			reason: "Expired or invalid code"
 		};
 	}
@@ -93,6 +45,7 @@ const redeemCodes = async (accountData, code) => {
 		app.Logger.info(`CodeRedeem:StarRail:${accountData.uid}`, `${code.code} - ${res.body.message}`);
 		return {
 			success: false,
+			retcode,
 			reason: res.body.message
 		};
 	}
@@ -104,6 +57,5 @@ const redeemCodes = async (accountData, code) => {
 };
 
 module.exports = {
-	fetchData,
 	redeemCodes
 };
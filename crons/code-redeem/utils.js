@@ -1,130 +1,262 @@
-const { setTimeout } = require("node:timers/promises");
+const CodeProvider = require("./providers/index.js");
 
-const fetchCodes = async () => {
-	const [genshinRes, starrailRes, zenlessRes] = await Promise.allSettled([
-		require("./genshin").fetchData(),
-		require("./starrail").fetchData(),
-		require("./zenless").fetchData()
-	]);
+const GAMES = ["genshin", "starrail", "zenless"];
 
-	const genshin = genshinRes.status === "fulfilled" ? genshinRes.value : [];
-	const starrail = starrailRes.status === "fulfilled" ? starrailRes.value : [];
-	const zenless = zenlessRes.status === "fulfilled" ? zenlessRes.value : [];
+const getDefaultSources = (game) => [{
+	type: "json",
+	name: "ennead",
+	url: `https://api.ennead.cc/mihoyo/${game}/codes`
+}];
 
-	return {
-		genshin,
-		starrail,
-		zenless
-	};
+/**
+ * Fetches the codes of one game from all of its sources and merges them by code.
+ * Every code keeps the names of the sources that reported it and the sum of their trust,
+ * separately for the sources that reported it as expired.
+ * @param {string} game
+ * @param {Object[]} definitions Source definitions from the `codeSources` config
+ * @returns {Promise<{ code: string, rewards: string[], sources: string[], trust: number, expiredSources: string[], expiredTrust: number }[]>}
+ */
+const fetchGameCodes = async (game, definitions) => {
+	const providers = [];
+	for (const definition of definitions.filter(i => i.active !== false)) {
+		try {
+			providers.push(CodeProvider.create(definition));
+		}
+		catch (e) {
+			app.Logger.log(`CodeRedeem:${game}`, {
+				message: "Invalid code source",
+				args: {
+					source: definition.name ?? definition.type,
+					error: e
+				}
+			});
+		}
+	}
+
+	const results = await Promise.allSettled(providers.map(i => i.fetch()));
+
+	const merged = new Map();
+	for (let i = 0; i < providers.length; i++) {
+		const provider = providers[i];
+		const result = results[i];
+		if (result.status === "rejected") {
+			app.Logger.log(`CodeRedeem:${game}`, {
+				message: "Failed to fetch codes from source",
+				args: {
+					source: provider.name,
+					error: result.reason
+				}
+			});
+
+			continue;
+		}
+
+		for (const item of result.value) {
+			const key = item.code.trim().toUpperCase();
+			if (!merged.has(key)) {
+				merged.set(key, {
+					code: key,
+					rewards: [],
+					sources: [],
+					trust: 0,
+					expiredSources: [],
+					expiredTrust: 0
+				});
+			}
+
+			// Sources may list a code as active and expired at once, each report counts separately
+			const entry = merged.get(key);
+			const [names, trust] = (item.expired) ? ["expiredSources", "expiredTrust"] : ["sources", "trust"];
+			if (entry[names].includes(provider.name)) {
+				continue;
+			}
+
+			entry[names].push(provider.name);
+			entry[trust] += provider.trust;
+			if (entry.rewards.length === 0 && item.rewards.length !== 0) {
+				entry.rewards = item.rewards;
+			}
+		}
+	}
+
+	return [...merged.values()];
 };
 
-const checkAndRedeem = async (codes) => {
-	const newCodes = await checkCachedCodes(codes);
+/**
+ * Fetches the codes of every game. Codes whose sources have less combined trust than
+ * `codeSources.minTrust` are left out until enough sources report them, the same threshold
+ * applies to sources reporting a code as expired, which sets its `expired` flag.
+ * @returns {Promise<{ genshin: Object[], starrail: Object[], zenless: Object[] }>}
+ */
+const fetchCodes = async () => {
+	const config = app.Config.get("codeSources") ?? {};
+	const minTrust = config.minTrust ?? 1;
+
+	const results = await Promise.allSettled(
+		GAMES.map(game => fetchGameCodes(game, config[game] ?? getDefaultSources(game)))
+	);
 
-	if (Object.values(newCodes).every((i) => i.length === 0)) {
-		return;
+	const codes = {};
+	for (let i = 0; i < GAMES.length; i++) {
+		const game = GAMES[i];
+		const result = results[i];
+		if (result.status === "rejected") {
+			app.Logger.log(`CodeRedeem:${game}`, {
+				message: "Failed to fetch codes",
+				args: {
+					error: result.reason
+				}
+			});
+
+			codes[game] = [];
+			continue;
+		}
+
+		for (const item of result.value) {
+			item.expired = (item.expiredTrust >= minTrust);
+		}
+
+		const pending = result.value.filter(i => !i.expired && i.trust < minTrust);
+		if (pending.length !== 0) {
+			app.Logger.debug(`CodeRedeem:${game}`, {
+				message: "Codes not trusted enough to redeem yet",
+				codes: pending.map(i => ({ code: i.code, sources: i.sources }))
+			});
+		}
+
+		codes[game] = result.value.filter(i => i.expired || i.trust >= minTrust);
 	}
 
+	return codes;
+};
+
+const GAME_PLATFORMS = {
+	genshin: "genshin",
+	starrail: "starrail",
+	zenless: "nap"
+};
+
+/**
+ * Redeems every code an account has not been through yet, including codes that were already
+ * active before the account was added, codes queued manually for it, and codes whose last
+ * attempt failed transiently. Codes known to have expired are skipped for every account.
+ * @param {{ genshin: Object[], starrail: Object[], zenless: Object[] }} codes
+ * @returns {Promise<{ success: Object[], failed: Object[] }>}
+ */
+const checkAndRedeem = async (codes) => {
 	const success = [];
 	const failed = [];
 
-	if (newCodes.genshin.length > 0) {
+	for (const [game, list] of Object.entries(codes)) {
+		const platform = GAME_PLATFORMS[game];
+		const expired = await app.CodeLedger.getExpired(platform);
+		for (const code of list.filter(i => i.expired && !expired[i.code])) {
+			await app.CodeLedger.expire(platform, code.code, {
+				source: code.expiredSources.join(", ")
+			});
+
+			expired[code.code] = true;
+		}
+
+		const queue = Object.values(await app.CodeLedger.getQueue(platform));
+		const active = list.filter(i => !expired[i.code]);
+		if (active.length === 0 && queue.length === 0) {
+			continue;
+		}
+
+		const { redeemCodes } = require(`./${game}`);
 		const accounts = app.HoyoLab.getActiveAccounts({
-			whitelist: ["genshin"]
-		});
+			whitelist: [platform]
+		}).filter(i => i.redeemCode !== false);
 
 		for (const account of accounts) {
-			if (account.redeemCode === false) {
-				continue;
-			}
+			const queued = queue
+				.filter(i => i.uids === null || i.uids.includes(account.uid))
+				.filter(i => !active.some(j => j.code === i.code))
+				.map(i => ({
+					code: i.code,
+					rewards: [],
+					sources: ["manual"]
+				}));
 
-			for (const code of newCodes.genshin) {
-				const result = await require("./genshin").redeemCodes(account, code);
-				if (result.success) {
-					success.push({ account, code });
+			const ledger = await app.CodeLedger.get(platform, account.uid);
+			const pending = [...active, ...queued].filter(i => app.CodeLedger.shouldAttempt(ledger[i.code]));
+
+			for (const code of pending) {
+				// Another account may have found out that the code expired during this run
+				if (expired[code.code]) {
+					continue;
 				}
-				else {
-					failed.push({
-						account,
-						code,
-						reason: result.reason
+
+				let result;
+				try {
+					result = await redeemCodes(account, code);
+				}
+				catch (e) {
+					app.Logger.log(`CodeRedeem:${game}`, {
+						message: "Failed to redeem code, it will be retried",
+						args: {
+							uid: account.uid,
+							code: code.code,
+							error: e
+						}
 					});
+
+					result = {
+						success: false,
+						transient: true,
+						reason: e.message
+					};
 				}
-				await setTimeout(6000);
-			}
-		}
 
-		const existingCodes = await app.Cache.get("genshin-code") || [];
-		await app.Cache.set({
-			key: "genshin-code",
-			value: [...existingCodes, ...newCodes.genshin.map(c => c.code.toUpperCase())]
-		});
-	}
+				const status = app.CodeLedger.resolveStatus(result);
+				if (status === "expired") {
+					await app.CodeLedger.expire(platform, code.code, {
+						reason: result.reason,
+						source: account.uid
+					});
 
-	if (newCodes.starrail.length > 0) {
-		const accounts = app.HoyoLab.getActiveAccounts({
-			whitelist: ["starrail"]
-		});
+					expired[code.code] = true;
+				}
 
-		for (const account of accounts) {
-			if (account.redeemCode === false) {
-				continue;
-			}
+				const entry = await app.CodeLedger.record(platform, account.uid, {
+					code: code.code,
+					status,
+					reason: result.reason,
+					sources: code.sources
+				});
 
-			for (const code of newCodes.starrail) {
-				const result = await require("./starrail").redeemCodes(account, code);
 				if (result.success) {
 					success.push({ account, code });
 				}
-				else {
+				else if (entry.status === "failed") {
 					failed.push({
 						account,
 						code,
 						reason: result.reason
 					});
 				}
-				await setTimeout(6000);
 			}
 		}
 
-		const existingCodes = await app.Cache.get("starrail-code") || [];
-		await app.Cache.set({
-			key: "starrail-code",
-			value: [...existingCodes, ...newCodes.starrail.map(c => c.code.toUpperCase())]
-		});
-	}
-
-	if (newCodes.zenless.length > 0) {
-		const accounts = app.HoyoLab.getActiveAccounts({
-			whitelist: ["nap"]
-		});
-
-		for (const account of accounts) {
-			if (account.redeemCode === false) {
+		// A queued code is done once it expired or every account it was queued for is through with it
+		const done = [];
+		for (const item of queue) {
+			if (expired[item.code]) {
+				done.push(item.code);
 				continue;
 			}
 
-			for (const code of newCodes.zenless) {
-				const result = await require("./zenless").redeemCodes(account, code);
-				if (result.success) {
-					success.push({ account, code });
-				}
-				else {
-					failed.push({
-						account,
-						code,
-						reason: result.reason
-					});
-				}
-				await setTimeout(6000);
+			const targets = accounts.filter(i => item.uids === null || item.uids.includes(i.uid));
+			const ledgers = await Promise.all(targets.map(i => app.CodeLedger.get(platform, i.uid)));
+			if (ledgers.every(i => !app.CodeLedger.shouldAttempt(i[item.code]))) {
+				done.push(item.code);
 			}
 		}
 
-		const existingCodes = await app.Cache.get("zenless-code") || [];
-		await app.Cache.set({
-			key: "zenless-code",
-			value: [...existingCodes, ...newCodes.zenless.map(c => c.code.toUpperCase())]
-		});
+		if (done.length !== 0) {
+			await app.CodeLedger.dequeue(platform, done);
+		}
 	}
 
 	return {
@@ -141,84 +273,41 @@ const REDEMPTION_LINKS = {
 
 const buildMessage = (status, data) => {
 	const gameName = data.account.game.name;
-	const messageTitle = status ? "Code Successfully Redeemed!" : `Code Redeem Failed! (${data.reason})`;
 	const redeemLink = `${REDEMPTION_LINKS[data.account.platform]}?code=${data.code.code}`;
 
-	const message = [
-		`[${gameName}] (${data.account.uid}) ${data.account.nickname}`,
-		`\n${messageTitle}`,
-		`\nCode: ${data.code.code}`,
-		...(status === false ? [`Manually Redeem Here: ${redeemLink}`] : []),
-		...(status === true ? [`Rewards: ${data.code.rewards.join(", ")}`] : [])
-	].join("\n");
-
-	const embed = {
-		color: data.account.assets.color,
-		title: `${gameName} Code Redeem`,
-		author: {
-			name: data.account.assets.author,
-			icon_url: data.account.assets.logo
-		},
-		description: `(${data.account.uid}) ${data.account.nickname}`
-		+ `\n${messageTitle}`
-		+ `\nCode: ${data.code.code}`
-		+ `${status === false ? `\nManually Redeem Here: ${redeemLink}` : ""}`
-		+ `${status === true ? `\nRewards: ${data.code.rewards.join(", ")}` : ""}`,
-		timestamp: new Date(),
-		footer: {
-			text: `${data.code.code}`,
-			icon_url: data.account.assets.logo
-		}
-	};
+	const fields = [
+		{ name: "UID", value: data.account.uid },
+		{ name: "Username", value: data.account.nickname },
+		{ name: "Code", value: data.code.code }
+	];
 
-	return {
-		telegram: message,
-		embed
-	};
-};
-
-const checkCachedCodes = async (codes) => {
-	const genshinCodes = (await app.Cache.get("genshin-code") || []).map(code => code.toUpperCase());
-	const starrailCodes = (await app.Cache.get("starrail-code") || []).map(code => code.toUpperCase());
-	const zenlessCodes = (await app.Cache.get("zenless-code") || []).map(code => code.toUpperCase());
-
-	const newCodes = {
-		genshin: [],
-		starrail: [],
-		zenless: []
-	};
-
-	if (genshinCodes.length === 0 && codes.genshin.length > 0) {
-		await app.Cache.set({
-			key: "genshin-code",
-			value: codes.genshin.map(c => c.code.toUpperCase())
-		});
-	}
-	else if (codes.genshin.length > 0) {
-		newCodes.genshin = codes.genshin.filter(code => !genshinCodes.includes(code.code.toUpperCase()));
-	}
-
-	if (starrailCodes.length === 0 && codes.starrail.length > 0) {
-		await app.Cache.set({
-			key: "starrail-code",
-			value: codes.starrail.map(c => c.code.toUpperCase())
-		});
-	}
-	else if (codes.starrail.length > 0) {
-		newCodes.starrail = codes.starrail.filter(code => !starrailCodes.includes(code.code.toUpperCase()));
-	}
-
-	if (zenlessCodes.length === 0 && codes.zenless.length > 0) {
-		await app.Cache.set({
-			key: "zenless-code",
-			value: codes.zenless.map(c => c.code.toUpperCase())
-		});
+	if (status) {
+		const rewards = (data.code.rewards.length !== 0) ? data.code.rewards.join(", ") : "Unknown";
+		fields.push({ name: "Rewards", value: rewards, inline: false });
 	}
-	else if (codes.zenless.length > 0) {
-		newCodes.zenless = codes.zenless.filter(code => !zenlessCodes.includes(code.code.toUpperCase()));
+	else {
+		fields.push({ name: "Manually Redeem Here", value: redeemLink, inline: false });
 	}
 
-	return newCodes;
+	return {
+		title: `${gameName} Code Redeem`,
+		description: status ? "Code Successfully Redeemed!" : `Code Redeem Failed! (${data.reason})`,
+		game: gameName,
+		author: data.account.assets.author,
+		icon: data.account.assets.logo,
+		color: data.account.assets.color,
+		footer: data.code.code,
+		mention: data.account,
+		severity: status ? "info" : "warning",
+		fields,
+		data: {
+			code: data.code.code,
+			rewards: data.code.rewards,
+			sources: data.code.sources,
+			success: status,
+			reason: data.reason ?? null
+		}
+	};
 };
 
 module.exports = {
@@ -1,95 +1,152 @@
-const { CronJob } = require("cron");
-
-const JSON5 = require("json5");
-const file = require("node:fs");
+const { CronJob, CronTime } = require("cron");
 
 const CheckIn = require("./check-in/index.js");
 const CodeRedeem = require("./code-redeem/index.js");
-const DailiesReminder = require("./dailies-reminder/index.js");
-const Expedition = require("./expedition/index.js");
-const HowlScratchCard = require("./howl-scratch-card/index.js");
 const MissedCheckIn = require("./missed-check-in/index.js");
-const RealmCurrency = require("./realm-currency/index.js");
-const ShopStatus = require("./shop-status/index.js");
-const Stamina = require("./stamina/index.js");
+const NotesPoller = require("./notes-poller/index.js");
+const QuietHours = require("./quiet-hours/index.js");
 const UpdateCookie = require("./update-cookie/index.js");
-const WeekliesReminder = require("./weeklies-reminder/index.js");
-
-let config;
-try {
-	config = JSON5.parse(file.readFileSync("./config.json5"));
-}
-catch {
-	config = JSON5.parse(file.readFileSync("./default.config.json5"));
-}
 
 const definitions = [
 	CheckIn,
 	CodeRedeem,
-	DailiesReminder,
-	Expedition,
-	HowlScratchCard,
 	MissedCheckIn,
-	RealmCurrency,
-	ShopStatus,
-	Stamina,
-	UpdateCookie,
-	WeekliesReminder
+	NotesPoller,
+	QuietHours,
+	UpdateCookie
 ];
 
-const BlacklistedCrons = [
+// Reminders that had their own cron before they became rules of the notes poller
+const LegacyCrons = [
 	"dailiesReminder",
+	"expedition",
 	"howlScratchCard",
+	"realmCurrency",
+	"shopStatus",
+	"stamina",
 	"weekliesReminder"
 ];
 
-const initCrons = () => {
-	const { blacklist = [], whitelist = [] } = config.crons;
+/** @type {Map<string, { expression: string, job: CronJob }>} */
+const jobs = new Map();
+
+/**
+ * Warns about expressions set for the reminders that are now run by the notes poller,
+ * since they are no longer used and the reminders follow `crons.notesPoller` instead.
+ * @param {Object} cronsConfig
+ * @returns {string[]} Legacy keys that are set
+ */
+const warnLegacyCrons = (cronsConfig = {}) => {
+	const legacy = LegacyCrons.filter(i => cronsConfig[i]);
+	if (legacy.length !== 0) {
+		const expression = cronsConfig.notesPoller || NotesPoller.expression;
+		app.Logger.warn("Cron", `crons.${legacy.join(", crons.")} is no longer used, these reminders run with crons.notesPoller ("${expression}")`);
+	}
+
+	return legacy;
+};
+
+/**
+ * Resolves the cron expression of every enabled cron from the `crons` config.
+ * @param {Object} cronsConfig
+ * @returns {Map<string, string>} Cron name to expression
+ */
+const getSchedule = (cronsConfig = {}) => {
+	const { blacklist = [], whitelist = [] } = cronsConfig;
 	if (blacklist.length > 0 && whitelist.length > 0) {
 		throw new Error(`Cannot have both a blacklist and a whitelist for crons`);
 	}
 
-	const crons = [];
+	const schedule = new Map();
 	for (const definition of definitions) {
-		if (blacklist.length > 0 && blacklist.includes(definition.name)) {
+		// Crons made of rules, such as the notes poller, run while any of their rules is enabled
+		const rules = definition.rules ?? [];
+		if (blacklist.includes(definition.name) || (rules.length !== 0 && rules.every(i => blacklist.includes(i)))) {
 			continue;
 		}
-		else if (whitelist.length > 0 && !whitelist.includes(definition.name)) {
+		else if (whitelist.length > 0 && ![definition.name, ...rules].some(i => whitelist.includes(i))) {
 			continue;
 		}
-		else if (BlacklistedCrons.includes(definition.name)) {
-			const name = app.Utils.convertCase(definition.name, "kebab", "camel");
 
-			const expression = definition.expression;
-			const job = new CronJob(expression, () => definition.code());
-			job.start();
+		const name = app.Utils.convertCase(definition.name, "kebab", "camel");
+		const expression = cronsConfig[name] || definition.expression;
 
-			crons.job = job;
-			crons.push({ name, job });
+		// Throws on invalid expressions, so a broken config is rejected before anything is rescheduled
+		// eslint-disable-next-line no-new
+		new CronTime(expression);
 
-			continue;
-		}
+		schedule.set(definition.name, expression);
+	}
 
-		const cron = {
-			name: definition.name,
-			description: definition.description,
-			code: definition.code
-		};
+	return schedule;
+};
 
-		const name = app.Utils.convertCase(definition.name, "kebab", "camel");
+const createJob = (definition, expression) => {
+	const cron = {
+		name: definition.name,
+		description: definition.description,
+		code: definition.code
+	};
+
+	const job = new CronJob(expression, () => cron.code(cron));
+	job.start();
 
-		const expression = config.crons[name] || definition.expression;
-		const job = new CronJob(expression, () => cron.code(cron));
-		job.start();
+	jobs.set(definition.name, { expression, job });
+};
+
+const initCrons = () => {
+	const cronsConfig = app.Config.get("crons");
+	warnLegacyCrons(cronsConfig);
+
+	const schedule = getSchedule(cronsConfig);
+	for (const [name, expression] of schedule) {
+		const definition = definitions.find(i => i.name === name);
+		createJob(definition, expression);
+	}
+
+	app.Logger.info("Cron", `Initialized ${jobs.size} cron jobs`);
+	return [...jobs.keys()];
+};
 
-		crons.job = job;
-		crons.push(cron);
+/**
+ * Applies a changed `crons` config: stops crons that are no longer enabled,
+ * starts newly enabled ones and reschedules crons whose expression changed.
+ * @param {Object} cronsConfig
+ */
+const reloadCrons = (cronsConfig) => {
+	const schedule = getSchedule(cronsConfig);
+	warnLegacyCrons(cronsConfig);
+
+	for (const [name, { job }] of jobs) {
+		if (!schedule.has(name)) {
+			job.stop();
+			jobs.delete(name);
+			app.Logger.info("Cron", `Stopped ${name}`);
+		}
 	}
 
-	app.Logger.info("Cron", `Initialized ${crons.length} cron jobs`);
-	return crons;
+	for (const [name, expression] of schedule) {
+		const current = jobs.get(name);
+		if (current?.expression === expression) {
+			continue;
+		}
+
+		if (current) {
+			current.job.setTime(new CronTime(expression));
+			current.job.start();
+			current.expression = expression;
+			app.Logger.info("Cron", `Rescheduled ${name} to "${expression}"`);
+		}
+		else {
+			createJob(definitions.find(i => i.name === name), expression);
+			app.Logger.info("Cron", `Started ${name}`);
+		}
+	}
 };
 
 module.exports = {
-	initCrons
+	getSchedule,
+	initCrons,
+	reloadCrons,
+	warnLegacyCrons
 };
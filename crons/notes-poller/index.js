@@ -0,0 +1,82 @@
+const NotesPoller = require("./poller.js");
+const StaminaTimers = require("./stamina-timers.js");
+const rules = require("./rules/index.js");
+const Stamina = require("./rules/stamina.js");
+
+const poller = new NotesPoller();
+for (const rule of rules) {
+	poller.subscribe(rule);
+}
+
+/**
+ * Rules can be whitelisted and blacklisted by name in the `crons` config like any other cron,
+ * whitelisting `notes-poller` itself enables all of them.
+ * @param {Object} cronsConfig
+ * @returns {Object[]} Enabled rules
+ */
+const getEnabledRules = (cronsConfig = {}) => {
+	const blacklist = cronsConfig.blacklist ?? [];
+	const whitelist = cronsConfig.whitelist ?? [];
+	if (blacklist.includes("notes-poller")) {
+		return [];
+	}
+
+	return poller.rules.filter(rule => {
+		if (blacklist.length > 0) {
+			return !blacklist.includes(rule.name);
+		}
+		else if (whitelist.length > 0) {
+			return whitelist.includes(rule.name) || whitelist.includes("notes-poller");
+		}
+
+		return true;
+	});
+};
+
+const isStaminaEnabled = (account) => getEnabledRules(app.Config.get("crons")).includes(Stamina)
+	&& Stamina.enabled(account);
+
+// Stamina alerts are sent the moment a level is reached instead of on the next tick
+const staminaTimers = new StaminaTimers(async (snapshot) => {
+	if (!isStaminaEnabled(snapshot.account)) {
+		return;
+	}
+
+	await poller.publish(snapshot, [Stamina]);
+	app.HoyoLab.get(snapshot.account.platform).update(snapshot.account);
+});
+
+poller.on("snapshot", (snapshot) => {
+	const { account, data } = snapshot;
+	if (!data.stamina || !isStaminaEnabled(account)) {
+		staminaTimers.clear(account);
+		return;
+	}
+
+	staminaTimers.anchor(snapshot, Stamina.getLevels(account, data.stamina.maxStamina));
+});
+
+module.exports = {
+	name: "notes-poller",
+	expression: "0 */30 * * * *",
+	description: "Fetches the real-time notes of every account once and evaluates the stamina, reserve stamina, expedition, realm currency, shop status, dailies, weeklies and Howl's News Stand reminders against them.",
+	rules: rules.map(i => i.name),
+	poller,
+	staminaTimers,
+	getEnabledRules,
+	code: (async function notesPoller () {
+		const enabled = getEnabledRules(app.Config.get("crons"));
+		if (enabled.length === 0) {
+			return;
+		}
+
+		// eslint-disable-next-line object-curly-spacing
+		const accounts = app.HoyoLab.getActiveAccounts({ blacklist: ["honkai", "tot"] });
+		if (accounts.length === 0) {
+			app.Logger.warn("Cron:NotesPoller", "No active accounts found to poll notes for.");
+			return;
+		}
+
+		await poller.tick(enabled);
+	})
+};
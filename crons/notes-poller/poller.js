@@ -0,0 +1,174 @@
+const { EventEmitter } = require("node:events");
+
+/**
+ * @typedef {Object} NotesSnapshot
+ * @property {Object} account Account the notes belong to
+ * @property {Object} data Data returned by `platform.notes(account)`
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} NotesRule
+ * @property {string} name Unique rule name, also accepted in the `crons` whitelist and blacklist
+ * @property {string} type Notification type sent with `app.Platform.notify`
+ * @property {string[]} games Platforms the rule applies to, e.g. "genshin" or "nap"
+ * @property {function(Object): boolean} enabled Whether the account has the reminder enabled
+ * @property {{ hour: number, minute: number, weekday?: number }} [schedule] Region-local time the rule
+ * is evaluated at once a day, rules without a schedule are evaluated on every tick
+ * @property {function(NotesSnapshot): (Object|null)} evaluate Returns the notification to send, if any.
+ * May update the runtime state of the account, e.g. its `fired` flags.
+ */
+
+/**
+ * Fetches the real-time notes of every account at most once per tick and evaluates
+ * the subscribed reminder rules against the result.
+ * Every snapshot is also emitted as a `snapshot` event.
+ */
+module.exports = class NotesPoller extends EventEmitter {
+	/** @type {NotesRule[]} */
+	#rules = [];
+
+	get rules () { return [...this.#rules]; }
+
+	/**
+	 * @param {NotesRule} rule
+	 */
+	subscribe (rule) {
+		if (typeof rule?.name !== "string" || typeof rule.evaluate !== "function") {
+			throw new app.Error({
+				message: "Invalid notes rule provided, expected a name and an evaluate function.",
+				args: { rule }
+			});
+		}
+		else if (this.#rules.some(i => i.name === rule.name)) {
+			throw new app.Error({
+				message: "Notes rule is already subscribed.",
+				args: { name: rule.name }
+			});
+		}
+
+		this.#rules.push(rule);
+	}
+
+	/**
+	 * @param {string} name
+	 */
+	unsubscribe (name) {
+		this.#rules = this.#rules.filter(i => i.name !== name);
+	}
+
+	/**
+	 * Fetches the notes of every account with at least one due rule and publishes them.
+	 * @param {NotesRule[]} [rules] Rules to evaluate, all subscribed rules by default
+	 * @returns {Promise<void>}
+	 */
+	async tick (rules = this.#rules) {
+		// eslint-disable-next-line object-curly-spacing
+		const accounts = app.HoyoLab.getActiveAccounts({ blacklist: ["honkai", "tot"] });
+		for (const account of accounts) {
+			const due = rules.filter(rule => rule.games.includes(account.platform)
+				&& rule.enabled(account)
+				&& this.isDue(rule, account));
+
+			if (due.length === 0) {
+				continue;
+			}
+
+			const platform = app.HoyoLab.get(account.platform);
+
+			let notes;
+			try {
+				notes = await platform.notes(account);
+			}
+			catch (e) {
+				app.Logger.error("Cron:NotesPoller", `Failed to fetch notes for ${account.uid}: ${e.message}`);
+
+				continue;
+			}
+
+			if (notes.success === false) {
+				continue;
+			}
+
+			await this.publish({
+				account,
+				data: notes.data,
+				timestamp: Date.now()
+			}, due);
+
+			platform.update(account);
+		}
+	}
+
+	/**
+	 * Emits a snapshot and evaluates the given rules against it, sending their notifications.
+	 * @param {NotesSnapshot} snapshot
+	 * @param {NotesRule[]} [rules] All subscribed rules by default
+	 * @returns {Promise<{ rule: string, notification: Object }[]>} Notifications that were sent
+	 */
+	async publish (snapshot, rules = this.#rules) {
+		this.emit("snapshot", snapshot);
+
+		const { account } = snapshot;
+		const sent = [];
+		for (const rule of rules) {
+			if (!rule.games.includes(account.platform)) {
+				continue;
+			}
+
+			let notification;
+			try {
+				notification = rule.evaluate(snapshot);
+			}
+			catch (e) {
+				app.Logger.error("Cron:NotesPoller", `Failed to evaluate ${rule.name} for ${account.uid}: ${e.message}`);
+
+				continue;
+			}
+
+			if (rule.schedule) {
+				account.reminders ??= {};
+				account.reminders[rule.name] = NotesPoller.getLocalDay(account);
+			}
+
+			if (notification) {
+				await app.Platform.notify(rule.type, notification);
+				sent.push({ rule: rule.name, notification });
+			}
+		}
+
+		return sent;
+	}
+
+	/**
+	 * Scheduled rules are due once a day after their region-local time, other rules are always due.
+	 * @param {NotesRule} rule
+	 * @param {Object} account
+	 * @returns {boolean}
+	 */
+	isDue (rule, account) {
+		if (!rule.schedule) {
+			return true;
+		}
+
+		const { hour, minute, weekday } = rule.schedule;
+		const now = new app.Date().setTimezoneOffset(account.timezone);
+		if (typeof weekday === "number" && now.getDay() !== weekday) {
+			return false;
+		}
+		else if ((now.hours * 60) + now.getMinutes() < (hour * 60) + minute) {
+			return false;
+		}
+
+		return account.reminders?.[rule.name] !== NotesPoller.getLocalDay(account);
+	}
+
+	/**
+	 * @param {Object} account
+	 * @returns {string} Current date in the region of the account, e.g. "2024-7-31"
+	 */
+	static getLocalDay (account) {
+		const now = new app.Date().setTimezoneOffset(account.timezone);
+		return `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+	}
+};
@@ -0,0 +1,44 @@
+module.exports = {
+	name: "dailies-reminder",
+	type: "dailies",
+	description: "Reminds you to complete your dailies.",
+	games: ["genshin", "starrail", "nap"],
+	schedule: {
+		hour: 21,
+		minute: 0
+	},
+	enabled: (account) => account.dailiesCheck !== false,
+	evaluate: ({ account, data }) => {
+		const { dailies, stamina } = data;
+		if (dailies.task === dailies.maxTask) {
+			return null;
+		}
+
+		const current = Math.floor(stamina.currentStamina);
+		const max = stamina.maxStamina;
+		const delta = app.Utils.formatTime(stamina.recoveryTime);
+
+		return {
+			title: "Dailies Reminder",
+			description: "Don't forget to complete your dailies!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) },
+				{ name: "Completed Dailies", value: `${dailies.task}/${dailies.maxTask}` },
+				{ name: "Current Stamina", value: `${current}/${max} (${delta})` }
+			],
+			data: {
+				task: dailies.task,
+				maxTask: dailies.maxTask,
+				currentStamina: current,
+				maxStamina: max
+			}
+		};
+	}
+};
@@ -0,0 +1,39 @@
+module.exports = {
+	name: "expedition",
+	type: "expedition",
+	description: "Notifies you when all of your expeditions are completed.",
+	games: ["genshin", "starrail"],
+	enabled: (account) => Boolean(account.expedition) && account.expedition.check !== false,
+	evaluate: ({ account, data }) => {
+		const expeditions = data.expedition;
+		if (expeditions.completed === false) {
+			account.expedition.fired = false;
+			return null;
+		}
+
+		const { fired, persistent } = account.expedition;
+		if (fired && !persistent) {
+			return null;
+		}
+
+		account.expedition.fired = true;
+
+		return {
+			title: "Expedition Reminder",
+			description: "All expeditions are completed!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) }
+			],
+			data: {
+				expeditions: expeditions.list
+			}
+		};
+	}
+};
@@ -0,0 +1,36 @@
+module.exports = {
+	name: "howl-scratch-card",
+	type: "howl-scratch-card",
+	description: "Reminds you if you haven't scratched the card at Howl's News Stand.",
+	games: ["nap"],
+	schedule: {
+		hour: 21,
+		minute: 0
+	},
+	enabled: () => true,
+	evaluate: ({ account, data }) => {
+		const scratchCard = data.cardSign;
+		if (scratchCard === "Completed") {
+			return null;
+		}
+
+		return {
+			title: "Howl's News Stand",
+			description: "You haven't scratched the card at Howl's News Stand yet!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			thumbnail: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) }
+			],
+			data: {
+				cardSign: scratchCard
+			}
+		};
+	}
+};
@@ -0,0 +1,19 @@
+const DailiesReminder = require("./dailies-reminder.js");
+const Expedition = require("./expedition.js");
+const HowlScratchCard = require("./howl-scratch-card.js");
+const RealmCurrency = require("./realm-currency.js");
+const ReserveStamina = require("./reserve-stamina.js");
+const ShopStatus = require("./shop-status.js");
+const Stamina = require("./stamina.js");
+const WeekliesReminder = require("./weeklies-reminder.js");
+
+module.exports = [
+	DailiesReminder,
+	Expedition,
+	HowlScratchCard,
+	RealmCurrency,
+	ReserveStamina,
+	ShopStatus,
+	Stamina,
+	WeekliesReminder
+];
@@ -0,0 +1,42 @@
+module.exports = {
+	name: "realm-currency",
+	type: "realm-currency",
+	description: "Notifies you when your Serenitea Pot realm currency is full.",
+	games: ["genshin"],
+	enabled: (account) => Boolean(account.realm) && account.realm.check !== false,
+	evaluate: ({ account, data }) => {
+		const { realm } = account;
+		const coins = data.realm;
+		if (coins.currentCoin < coins.maxCoin) {
+			realm.fired = false;
+			return null;
+		}
+
+		if (realm.fired && !realm.persistent) {
+			return null;
+		}
+
+		realm.fired = true;
+
+		return {
+			title: "Realm Currency",
+			description: "Your realm currency is full!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			thumbnail: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) },
+				{ name: "Current Realm Currency", value: `${coins.currentCoin}/${coins.maxCoin}` }
+			],
+			data: {
+				currentCoin: coins.currentCoin,
+				maxCoin: coins.maxCoin
+			}
+		};
+	}
+};
@@ -0,0 +1,75 @@
+/**
+ * Estimates when both the stamina and the reserve will be full, assuming no stamina is spent.
+ * @param {Object} snapshot
+ * @param {Object} config Game config with the regeneration rates
+ * @returns {number} Timestamp
+ */
+const estimateFullAt = ({ data, timestamp }, config) => {
+	const { stamina } = data;
+	const staminaFullAt = timestamp + (Number(stamina.recoveryTime) * 1000);
+	const missingReserve = Math.max(0, stamina.maxReserveStamina - stamina.reserveStamina);
+
+	return staminaFullAt + (missingReserve * config.reserveRegenRate * 1000);
+};
+
+module.exports = {
+	name: "reserve-stamina",
+	type: "stamina",
+	description: "Notifies you when your stamina and your reserve are both full and stamina is being wasted.",
+	games: ["starrail"],
+	enabled: (account) => account.reserve?.check === true,
+	estimateFullAt,
+	evaluate: (snapshot) => {
+		const { account, data, timestamp } = snapshot;
+		const { stamina } = data;
+		const { reserve } = account;
+		const { config } = app.HoyoLab.get(account.platform);
+
+		const isStaminaFull = (stamina.currentStamina >= stamina.maxStamina);
+		if (!isStaminaFull || !stamina.isReserveStaminaFull) {
+			reserve.fired = false;
+			reserve.wastingSince = null;
+			reserve.fullAt = estimateFullAt(snapshot, config);
+			return null;
+		}
+
+		// The estimate from an earlier snapshot is the best guess of when stamina started to go to waste
+		reserve.wastingSince ??= (reserve.fullAt && reserve.fullAt <= timestamp)
+			? reserve.fullAt
+			: timestamp;
+
+		if (reserve.fired && !reserve.persistent) {
+			return null;
+		}
+
+		reserve.fired = true;
+
+		const wasted = Math.floor((timestamp - reserve.wastingSince) / (config.regenRate * 1000));
+		return {
+			title: "Stamina Reminder",
+			description: "Your stamina and your reserve are both full, stamina is going to waste!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			severity: "warning",
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) },
+				{ name: "Stamina", value: `${Math.floor(stamina.currentStamina)}/${stamina.maxStamina}` },
+				{ name: "Reserve", value: `${stamina.reserveStamina}/${stamina.maxReserveStamina}` },
+				{ name: "Wasted Stamina", value: `~${wasted} in the last ${app.Utils.formatTime(Math.floor((timestamp - reserve.wastingSince) / 1000))}` }
+			],
+			data: {
+				currentStamina: Math.floor(stamina.currentStamina),
+				maxStamina: stamina.maxStamina,
+				reserveStamina: stamina.reserveStamina,
+				maxReserveStamina: stamina.maxReserveStamina,
+				wastedStamina: wasted,
+				wastingSince: reserve.wastingSince
+			}
+		};
+	}
+};
@@ -0,0 +1,39 @@
+module.exports = {
+	name: "shop-status",
+	type: "shop-status",
+	description: "Notifies you when your video store has finished selling.",
+	games: ["nap"],
+	enabled: (account) => Boolean(account.shop) && account.shop.check !== false,
+	evaluate: ({ account, data }) => {
+		const { shop } = data;
+		if (shop.state !== "Finished") {
+			account.shop.fired = false;
+			return null;
+		}
+
+		if (account.shop.fired) {
+			return null;
+		}
+
+		account.shop.fired = true;
+
+		return {
+			title: "Shop Status",
+			description: "Your shop has finished selling videos!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			thumbnail: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) }
+			],
+			data: {
+				state: shop.state
+			}
+		};
+	}
+};
@@ -0,0 +1,85 @@
+/**
+ * Alert levels of an account, lowest first. Accounts without `levels` have a single level at
+ * their `threshold`, and a level at the stamina cap is always added.
+ * @param {Object} account
+ * @param {number} maxStamina
+ * @returns {{ threshold: number, severity: "info"|"warning"|"critical" }[]}
+ */
+const getLevels = (account, maxStamina) => {
+	const configured = account.stamina.levels ?? [{ threshold: account.stamina.threshold }];
+	const levels = configured.map(i => ({
+		threshold: i.threshold,
+		severity: i.severity ?? "info"
+	}));
+
+	if (!levels.some(i => i.threshold >= maxStamina)) {
+		levels.push({
+			threshold: maxStamina,
+			severity: "warning"
+		});
+	}
+
+	return levels.sort((a, b) => a.threshold - b.threshold);
+};
+
+module.exports = {
+	name: "stamina",
+	type: "stamina",
+	description: "Notifies you when your stamina reaches one of the set levels or is full.",
+	games: ["genshin", "starrail", "nap"],
+	enabled: (account) => account.stamina?.check !== false,
+	getLevels,
+	evaluate: ({ account, data }) => {
+		const { stamina } = data;
+		const current = Math.floor(stamina.currentStamina);
+		const max = stamina.maxStamina;
+
+		// Levels above the current stamina can be reached again once stamina was spent
+		const reached = getLevels(account, max).filter(i => current >= i.threshold);
+		account.stamina.notified = (account.stamina.notified ?? []).filter(i => i <= current);
+		if (reached.length === 0) {
+			account.stamina.fired = false;
+			return null;
+		}
+
+		const level = reached.at(-1);
+		const { fired, persistent } = account.stamina;
+		if (fired && !persistent && account.stamina.notified.includes(level.threshold)) {
+			return null;
+		}
+
+		account.stamina.fired = true;
+		account.stamina.notified = reached.map(i => i.threshold);
+
+		const fields = [];
+		if (typeof stamina.reserveStamina === "number") {
+			fields.push({ name: "Reserve", value: `${stamina.reserveStamina}/${stamina.maxReserveStamina}` });
+		}
+
+		const isFull = (current >= max);
+		return {
+			title: "Stamina Reminder",
+			description: (isFull) ? "Your stamina is full!" : `Your stamina has reached ${level.threshold}!`,
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			severity: level.severity,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) },
+				{ name: "Stamina", value: `${current}/${max}` },
+				{ name: "Recovery Time", value: app.Utils.formatTime(stamina.recoveryTime) },
+				...fields
+			],
+			data: {
+				currentStamina: current,
+				maxStamina: max,
+				recoveryTime: stamina.recoveryTime,
+				threshold: level.threshold
+			}
+		};
+	}
+};
@@ -0,0 +1,60 @@
+module.exports = {
+	name: "weeklies-reminder",
+	type: "weeklies",
+	description: "Reminds you to complete your weeklies on Sundays.",
+	games: ["genshin", "starrail"],
+	schedule: {
+		hour: 21,
+		minute: 0,
+		weekday: 0
+	},
+	enabled: (account) => account.weekliesCheck !== false,
+	evaluate: ({ account, data }) => {
+		const { weeklies } = data;
+
+		const progress = [];
+		if (account.platform === "genshin") {
+			const resin = weeklies.resinDiscount;
+			const limit = weeklies.resinDiscountLimit;
+
+			if (resin !== 0) {
+				progress.push({ name: "Resin Discount", value: `${resin}/${limit} Available` });
+			}
+		}
+		if (account.platform === "starrail") {
+			const bossCompleted = (weeklies.weeklyBoss === 0);
+			const simCompleted = (weeklies.rogueScore === weeklies.maxScore);
+			const divergent = (weeklies.tournScore === weeklies.tournMaxScore && weeklies.tournUnlocked);
+			if (bossCompleted && simCompleted && divergent) {
+				return null;
+			}
+
+			if (!bossCompleted) {
+				progress.push({ name: "Weekly Boss", value: `${weeklies.weeklyBoss}/${weeklies.weeklyBossLimit} Completed` });
+			}
+			if (!simCompleted) {
+				progress.push({ name: "Simulated Universe", value: `${weeklies.rogueScore}/${weeklies.maxScore}` });
+			}
+			if (!divergent) {
+				progress.push({ name: "Divergent Universe", value: `${weeklies.tournScore}/${weeklies.tournMaxScore}` });
+			}
+		}
+
+		return {
+			title: "Weeklies Reminder",
+			description: "Don't forget to complete your weeklies!",
+			game: data.assets.game,
+			author: data.assets.author,
+			icon: data.assets.logo,
+			color: data.assets.color,
+			mention: account,
+			fields: [
+				{ name: "UID", value: account.uid },
+				{ name: "Username", value: account.nickname },
+				{ name: "Region", value: app.HoyoLab.getRegion(account.region) },
+				...progress
+			],
+			data: weeklies
+		};
+	}
+};
@@ -0,0 +1,131 @@
+/**
+ * Schedules a one-shot timer for the moment the stamina of an account reaches each of its
+ * upcoming alert levels, projected from the last snapshot with the regeneration rate of the game.
+ * Timers are re-anchored whenever a fresh snapshot of the account arrives.
+ */
+module.exports = class StaminaTimers {
+	/** @type {Map<string, NodeJS.Timeout[]>} */
+	#timers = new Map();
+	#callback;
+
+	/**
+	 * @param {function(Object): Promise<void>} callback Receives the projected snapshot once a level is reached
+	 */
+	constructor (callback) {
+		this.#callback = callback;
+	}
+
+	/**
+	 * Replaces the timers of an account with timers for the levels it has not reached yet.
+	 * @param {Object} snapshot
+	 * @param {{ threshold: number }[]} levels
+	 * @returns {number[]} Timestamps the timers are scheduled at
+	 */
+	anchor (snapshot, levels) {
+		const { account, data } = snapshot;
+		this.clear(account);
+
+		const regenRate = app.HoyoLab.get(account.platform)?.config.regenRate;
+		if (!data.stamina || !regenRate) {
+			return [];
+		}
+
+		const current = Math.floor(data.stamina.currentStamina);
+		const timers = [];
+		const schedule = [];
+		for (const level of levels) {
+			if (level.threshold <= current) {
+				continue;
+			}
+
+			const timestamp = StaminaTimers.getCrossingTime(snapshot, level.threshold, regenRate);
+			const timer = setTimeout(async () => {
+				const projected = StaminaTimers.project(snapshot, regenRate, timestamp);
+				try {
+					await this.#callback(projected);
+				}
+				catch (e) {
+					app.Logger.error("Cron:NotesPoller", `Failed to send the projected stamina alert for ${account.uid}: ${e.message}`);
+				}
+			}, Math.max(0, timestamp - Date.now()));
+
+			timers.push(timer);
+			schedule.push(timestamp);
+		}
+
+		this.#timers.set(StaminaTimers.getKey(account), timers);
+		return schedule;
+	}
+
+	/**
+	 * @param {Object} account
+	 */
+	clear (account) {
+		const key = StaminaTimers.getKey(account);
+		for (const timer of this.#timers.get(key) ?? []) {
+			clearTimeout(timer);
+		}
+
+		this.#timers.delete(key);
+	}
+
+	clearAll () {
+		for (const timers of this.#timers.values()) {
+			for (const timer of timers) {
+				clearTimeout(timer);
+			}
+		}
+
+		this.#timers.clear();
+	}
+
+	static getKey (account) {
+		return `${account.platform}-${account.uid}`;
+	}
+
+	/**
+	 * The recovery time counts down to the stamina cap, so the time a level is reached at
+	 * is the recovery time minus the regeneration of the stamina between the level and the cap.
+	 * @param {Object} snapshot
+	 * @param {number} threshold
+	 * @param {number} regenRate Seconds per point of stamina
+	 * @returns {number} Timestamp
+	 */
+	static getCrossingTime (snapshot, threshold, regenRate) {
+		const { maxStamina, recoveryTime } = snapshot.data.stamina;
+		const remaining = Math.max(0, Number(recoveryTime) - ((maxStamina - threshold) * regenRate));
+
+		return snapshot.timestamp + (remaining * 1000);
+	}
+
+	/**
+	 * Extrapolates the stamina of a snapshot to a later time.
+	 * @param {Object} snapshot
+	 * @param {number} regenRate Seconds per point of stamina
+	 * @param {number} [timestamp]
+	 * @returns {Object} Snapshot marked as `projected`
+	 */
+	static project (snapshot, regenRate, timestamp = Date.now()) {
+		const { stamina } = snapshot.data;
+		const elapsed = Math.max(0, (timestamp - snapshot.timestamp) / 1000);
+		const recoveryTime = Math.max(0, Number(stamina.recoveryTime) - elapsed);
+
+		const currentStamina = (stamina.currentStamina >= stamina.maxStamina)
+			? stamina.currentStamina
+			: Math.max(stamina.currentStamina, stamina.maxStamina - Math.ceil(recoveryTime / regenRate));
+
+		return {
+			...snapshot,
+			data: {
+				...snapshot.data,
+				stamina: {
+					...stamina,
+					currentStamina,
+					recoveryTime
+				}
+			},
+			timestamp,
+			projected: true
+		};
+	}
+};
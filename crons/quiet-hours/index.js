@@ -0,0 +1,13 @@
+module.exports = {
+	name: "quiet-hours",
+	expression: "0 * * * * *",
+	description: "Sends a summary of the notifications held back during quiet hours once they end.",
+	code: (async function quietHours () {
+		// Platforms are loaded after the crons are initialized
+		if (!app.Platform) {
+			return;
+		}
+
+		await app.Platform.flushDeferred();
+	})
+};
@@ -1,30 +1,27 @@
 module.exports = {
 	name: "update-cookie",
 	expression: "0 */2 * * *",
-	description: "Update cookie for all accounts",
+	description: "Refresh the cookie token of every HoYoLAB user",
 	code: (async function updateCookie () {
-		// eslint-disable-next-line object-curly-spacing
-		const accounts = app.HoyoLab.getActiveAccounts({ blacklist: ["honkai", "tot"] });
-		if (accounts.length === 0) {
-			return;
-		}
+		const accounts = app.HoyoLab.getActiveAccounts();
 
+		// Games share the cookie of a HoYoLAB user, it is refreshed once for all of them
+		const cookies = new Map();
 		for (const account of accounts) {
-			const platform = app.HoyoLab.get(account.platform);
-			const refreshCookie = await platform.updateCookie(account);
-			if (!refreshCookie) {
-				continue;
+			const user = app.AuthHealth.getUser(account.cookie);
+			if (user && !cookies.has(user) && app.CookieRefresher.canRefresh(account.cookie)) {
+				cookies.set(user, account.cookie);
 			}
+		}
 
-			const cookieData = app.HoyoLab.parseCookie(account.cookie, {
-				blacklist: ["cookie_token", "account_id"]
-			});
-
-			const { accountId, token } = refreshCookie.data;
-			account.cookie = `${cookieData}; cookie_token=${token}; account_id=${accountId}`;
-			platform.update(account);
+		let refreshed = 0;
+		for (const cookie of cookies.values()) {
+			const result = await app.CookieRefresher.refresh(cookie, { notify: true });
+			if (result) {
+				refreshed++;
+			}
 		}
 
-		app.Logger.debug("Cron:UpdateCookie", "Updated cookie for all accounts");
+		app.Logger.debug("Cron:UpdateCookie", `Refreshed ${refreshed} of ${cookies.size} cookie(s)`);
 	})
 };
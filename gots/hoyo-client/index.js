@@ -9,9 +9,17 @@ const definition = {
 			"x-rpc-app_version": "2.54.0",
 			"x-requested-with": "com.mihoyo.hoyolab",
 			"User-Agent": "Mozilla/5.0 (Linux; Android 13; Pixel 5 Build/TQ3A.230901.001; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/118.0.0.0 Mobile Safari/537.36 miHoYoBBSOversea/2.54.0"
+		},
+		hooks: {
+			// Detects expired cookies from the retcode of every response
+			afterResponse: [
+				(response) => app.AuthHealth.inspect(response)
+			]
 		}
 	},
-	parent: "Global"
+	parent: "Global",
+	// Requests are throttled and queued by the request scheduler
+	scheduled: true
 };
 
 module.exports = definition;
@@ -8,9 +8,17 @@ const definition = {
 			"x-rpc-client_type": 5,
 			"x-rpc-language": "en-us",
 			"User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36"
+		},
+		hooks: {
+			// Detects expired cookies from the retcode of every response
+			afterResponse: [
+				(response) => app.AuthHealth.inspect(response)
+			]
 		}
 	},
-	parent: "Global"
+	parent: "Global",
+	// Requests are throttled and queued by the request scheduler
+	scheduled: true
 };
 
 module.exports = definition;
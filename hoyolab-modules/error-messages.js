@@ -43,4 +43,7 @@ const errorMessage = (type, code) => {
 	return errorMessages[code];
 };
 
-module.exports = errorMessage;
+module.exports = {
+	errorMessage,
+	BattleRecords
+};
@@ -45,68 +45,78 @@ module.exports = class Genshin extends require("../template.js") {
 		}
 	}
 
-	async login () {
-		const accounts = this.data;
-
-		for (const account of accounts) {
-			const cookieData = account.cookie;
-			const ltuid = account.ltuid;
-
-			const { body, statusCode } = await app.Got("HoYoLab", {
-				url: "https://bbs-api-os.hoyolab.com/game_record/card/wapi/getGameRecordCard",
-				responseType: "json",
-				throwHttpErrors: false,
-				searchParams: {
-					uid: ltuid
-				},
-				headers: {
-					Cookie: cookieData
+	async loginAccount (account) {
+		const cookieData = account.cookie;
+		const ltuid = account.ltuid;
+
+		const { body, statusCode } = await app.Got("HoYoLab", {
+			url: "https://bbs-api-os.hoyolab.com/game_record/card/wapi/getGameRecordCard",
+			responseType: "json",
+			throwHttpErrors: false,
+			searchParams: {
+				uid: ltuid
+			},
+			headers: {
+				Cookie: cookieData
+			},
+			// Expired cookies are refreshed and reported by `HoyoLab#login` instead of the AuthHealth hook
+			context: {
+				login: true
+			}
+		});
+
+		if (statusCode !== 200) {
+			throw new app.Error({
+				message: "Failed to login to Genshin account",
+				args: {
+					statusCode,
+					body
 				}
 			});
+		}
 
-			if (statusCode !== 200) {
-				throw new app.Error({
-					message: "Failed to login to Genshin account",
-					args: {
-						statusCode,
-						body
-					}
-				});
-			}
+		const res = body;
+		if (app.AuthHealth.isExpiredRetcode(res.retcode)) {
+			return { retcode: res.retcode };
+		}
+		if (res.retcode !== 0) {
+			throw new app.Error({
+				message: "Failed to login to Genshin account",
+				args: {
+					retcode: res.retcode,
+					message: res.message,
+					res
+				}
+			});
+		}
 
-			const res = body;
-			if (res.retcode !== 0) {
-				throw new app.Error({
-					message: "Failed to login to Genshin account",
-					args: {
-						retcode: res.retcode,
-						message: res.message,
-						res
-					}
-				});
-			}
+		if (typeof res.data !== "object" || !Array.isArray(res.data.list)) {
+			throw new app.Error({
+				message: "Invalid data object received from Genshin account",
+				args: {
+					data: res.data
+				}
+			});
+		}
 
-			if (typeof res.data !== "object" || !Array.isArray(res.data.list)) {
-				throw new app.Error({
-					message: "Invalid data object received from Genshin account",
-					args: {
-						data: res.data
-					}
-				});
+		const roles = this.getRoles(res.data.list, account);
+		if (roles.length === 0) {
+			// An identity discovers the games of a HoYoLAB account, not having played one is not an error
+			if (account.identity) {
+				app.Logger.info(this.fullName, `No roles found for HoYoLAB user ${ltuid}`);
+				return;
 			}
 
-			const { list } = res.data;
-			const data = list.find(account => account.game_id === this.gameId);
-			if (!data) {
-				throw new app.Error({
-					message: "No Genshin account can be found with the provided game account",
-					args: {
-						id: this.id,
-						uid: ltuid
-					}
-				});
-			}
+			throw new app.Error({
+				message: "No Genshin account can be found with the provided game account",
+				args: {
+					id: this.id,
+					uid: ltuid
+				}
+			});
+		}
 
+		for (const data of roles) {
 			this.#logo = data.logo;
 			this.#color = 0x0099FF;
 
@@ -127,6 +137,9 @@ module.exports = class Genshin extends require("../template.js") {
 					short: "GI"
 				},
 				discord: (account?.discord?.userId?.length === 0) ? null : account.discord,
+				telegram: account.telegram ?? null,
+				email: account.email ?? null,
+				quietHours: account.quietHours ?? null,
 				assets: {
 					...this.config.assets,
 					...this.config.url,
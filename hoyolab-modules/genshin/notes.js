@@ -11,23 +11,6 @@ module.exports = class RealtimeNotes {
 	}
 
 	async notes (accountData) {
-		const cachedData = await this.#instance.dataCache.get(accountData.uid);
-
-		const { threshold } = accountData.stamina;
-		if (cachedData && cachedData.stamina.currentStamina < threshold) {
-			return {
-				success: true,
-				data: {
-					...cachedData,
-					assets: {
-						...this.#instance.config.assets,
-						logo: this.#logo,
-						color: this.#color
-					}
-				}
-			};
-		}
-
 		const cookieData = app.HoyoLab.parseCookie(accountData.cookie, {
 			whitelist: [
 				"ltoken_v2",
@@ -105,25 +88,6 @@ module.exports = class RealtimeNotes {
 			recoveryTime: data.home_coin_recovery_time
 		};
 
-		this.#instance.dataCache.set(accountData.uid, {
-			uid: accountData.uid,
-			nickname: accountData.nickname,
-			lastUpdated: app.Date.now(),
-			expires: app.Date.now(),
-			stamina,
-			dailies,
-			weeklies,
-			realm,
-			expedition: {
-				completed: data.expeditions.every(i => i.status.toLowerCase() === "finished"),
-				list: data.expeditions.map(i => ({
-					avatar: i.avatar_side_icon,
-					status: i.status,
-					remaining_time: i.remained_time
-				}))
-			}
-		});
-
 		return {
 			success: true,
 			data: {
@@ -9,6 +9,9 @@ const DEFAULT_CONSTANTS = {
 	signedMessage: "You've already checked in today, Trailblazer~",
 	regenRate: 360,
 	maxStamina: 300,
+	// Reserved Trailblaze Power only accumulates while the Trailblaze Power is full
+	reserveRegenRate: 1080,
+	maxReserveStamina: 2400,
 	assets: {
 		author: "PomPom",
 		game: "Honkai: Star Rail"
@@ -45,68 +48,78 @@ module.exports = class StarRail extends require("../template.js") {
 		}
 	}
 
-	async login () {
-		const accounts = this.data;
-
-		for (const account of accounts) {
-			const cookieData = account.cookie;
-			const ltuid = account.ltuid;
+	async loginAccount (account) {
+		const cookieData = account.cookie;
+		const ltuid = account.ltuid;
+
+		const { body, statusCode } = await app.Got("HoYoLab", {
+			url: "https://bbs-api-os.hoyolab.com/game_record/card/wapi/getGameRecordCard",
+			responseType: "json",
+			throwHttpErrors: false,
+			searchParams: {
+				uid: ltuid
+			},
+			headers: {
+				Cookie: cookieData
+			},
+			// Expired cookies are refreshed and reported by `HoyoLab#login` instead of the AuthHealth hook
+			context: {
+				login: true
+			}
+		});
 
-			const { body, statusCode } = await app.Got("HoYoLab", {
-				url: "https://bbs-api-os.hoyolab.com/game_record/card/wapi/getGameRecordCard",
-				responseType: "json",
-				throwHttpErrors: false,
-				searchParams: {
-					uid: ltuid
-				},
-				headers: {
-					Cookie: cookieData
+		if (statusCode !== 200) {
+			throw new app.Error({
+				message: "Failed to login to Honkai: Star Rail account",
+				args: {
+					statusCode,
+					body
 				}
 			});
+		}
 
-			if (statusCode !== 200) {
-				throw new app.Error({
-					message: "Failed to login to Honkai: Star Rail account",
-					args: {
-						statusCode,
-						body
-					}
-				});
-			}
+		const res = body;
+		if (app.AuthHealth.isExpiredRetcode(res.retcode)) {
+			return { retcode: res.retcode };
+		}
+		if (res.retcode !== 0) {
+			throw new app.Error({
+				message: "Failed to login to Honkai: Star Rail account",
+				args: {
+					retcode: res.retcode,
+					message: res.message,
+					res
+				}
+			});
+		}
 
-			const res = body;
-			if (res.retcode !== 0) {
-				throw new app.Error({
-					message: "Failed to login to Honkai: Star Rail account",
-					args: {
-						retcode: res.retcode,
-						message: res.message,
-						res
-					}
-				});
-			}
+		if (typeof res.data !== "object" || !Array.isArray(res.data.list)) {
+			throw new app.Error({
+				message: "Invalid data object received from Honkai: Star Rail account",
+				args: {
+					data: res.data
+				}
+			});
+		}
 
-			if (typeof res.data !== "object" || !Array.isArray(res.data.list)) {
-				throw new app.Error({
-					message: "Invalid data object received from Honkai: Star Rail account",
-					args: {
-						data: res.data
-					}
-				});
+		const roles = this.getRoles(res.data.list, account);
+		if (roles.length === 0) {
+			// An identity discovers the games of a HoYoLAB account, not having played one is not an error
+			if (account.identity) {
+				app.Logger.info(this.fullName, `No roles found for HoYoLAB user ${ltuid}`);
+				return;
 			}
 
-			const { list } = res.data;
-			const data = list.find(account => account.game_id === this.gameId);
-			if (!data) {
-				throw new app.Error({
-					message: "No Honkai: Star Rail account can be found with the provided game account",
-					args: {
-						id: this.id,
-						uid: ltuid
-					}
-				});
-			}
+			throw new app.Error({
+				message: "No Honkai: Star Rail account can be found with the provided game account",
+				args: {
+					id: this.id,
+					uid: ltuid
+				}
+			});
+		}
 
+		for (const data of roles) {
 			this.#logo = data.logo;
 			this.#color = 0xBB0BB5;
 
@@ -127,6 +140,9 @@ module.exports = class StarRail extends require("../template.js") {
 					short: "HSR"
 				},
 				discord: (account?.discord?.userId?.length === 0) ? null : account.discord,
+				telegram: account.telegram ?? null,
+				email: account.email ?? null,
+				quietHours: account.quietHours ?? null,
 				assets: {
 					...this.config.assets,
 					...this.config.url,
@@ -140,6 +156,13 @@ module.exports = class StarRail extends require("../template.js") {
 				expedition: {
 					...account.expedition,
 					fired: false
+				},
+				reserve: {
+					check: account.reserve?.check ?? false,
+					persistent: account.reserve?.persistent ?? false,
+					fired: false,
+					fullAt: null,
+					wastingSince: null
 				}
 			});
 
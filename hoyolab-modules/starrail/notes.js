@@ -11,23 +11,6 @@ module.exports = class RealtimeNotes {
 	}
 
 	async notes (accountData) {
-		const cachedData = await this.#instance.dataCache.get(accountData.uid);
-
-		const { threshold } = accountData.stamina;
-		if (cachedData && cachedData.stamina.currentStamina < threshold) {
-			return {
-				success: true,
-				data: {
-					...cachedData,
-					assets: {
-						...this.#instance.config.assets,
-						logo: this.#logo,
-						color: this.#color
-					}
-				}
-			};
-		}
-
 		const cookieData = app.HoyoLab.parseCookie(accountData.cookie, {
 			whitelist: [
 				"ltoken_v2",
@@ -85,6 +68,7 @@ module.exports = class RealtimeNotes {
 			maxStamina: data.max_stamina,
 			recoveryTime: data.stamina_recover_time,
 			reserveStamina: data.current_reserve_stamina,
+			maxReserveStamina: this.#instance.config.maxReserveStamina,
 			isReserveStaminaFull: data.is_reserve_stamina_full
 		};
 
@@ -103,24 +87,6 @@ module.exports = class RealtimeNotes {
 			tournUnlocked: data.rogue_tourn_weekly_unlocked
 		};
 
-		await this.#instance.dataCache.set(accountData.uid, {
-			uid: accountData.uid,
-			nickname: accountData.nickname,
-			lastUpdate: app.Date.now(),
-			expires: app.Date.now(),
-			stamina,
-			dailies,
-			weeklies,
-			expedition: {
-				completed: data.expeditions.every(i => i.status.toLowerCase() === "finished"),
-				list: data.expeditions.map(i => ({
-					avatar: i.avatars,
-					status: i.status,
-					remaining_time: i.remaining_time
-				}))
-			}
-		});
-
 		return {
 			success: true,
 			data: {
@@ -1,5 +1,10 @@
-const DataCache = require("./cache.js");
-const CustomHoyoError = require("./error-messages.js");
+const { errorMessage: CustomHoyoError, BattleRecords } = require("./error-messages.js");
+
+// Same as the notification severities of `Platform`, which is not loaded yet when accounts are created
+const STAMINA_SEVERITIES = ["info", "warning", "critical"];
+
+const LOGIN_RETRY_BASE = 30000;
+const LOGIN_RETRY_MAX = 1800000;
 
 module.exports = class HoyoLab {
 	#id;
@@ -7,7 +12,9 @@ module.exports = class HoyoLab {
 	#data = [];
 	#gameId;
 	#config;
-	#dataCache;
+	#failed = [];
+	#retryAttempt = 0;
+	#retryTimeout = null;
 
 	accounts = [];
 
@@ -47,148 +54,221 @@ module.exports = class HoyoLab {
 		}
 
 		for (const account of accounts) {
-			if (typeof account.cookie === "object") {
-				throw new app.Error({
-					message: "This cookie method is deprecated, please follow the new cookie guide again: https://gist.github.com/torikushiii/59eff33fc8ea89dbc0b2e7652db9d3fd"
-				});
+			let entry;
+			try {
+				entry = this.#parseEntry(account, defaults);
 			}
+			catch (e) {
+				// The defaults of an identity apply to every game, a setting that is invalid for
+				// this game only skips the identity here instead of every account of the game
+				if (!account.identity) {
+					throw e;
+				}
 
-			if (account.cookie.length === 0) {
-				// this will just skip the account if there is no cookie provided
+				app.Logger.warn(this.fullName, `Skipping identity ${account.identity}, its settings are invalid for this game: ${e.message}`);
 				continue;
 			}
 
-			if (this.#name === "honkai" || this.#name === "tot") {
-				const parsedCookie = this.#parseCookie(account.cookie);
-				const ltuid = account.cookie.match(/ltuid_v2=([^;]+)/)[1];
-				this.#data.push({
-					cookie: parsedCookie.cookie,
-					ltuid
-				});
-				break;
+			if (entry) {
+				this.#data.push(entry);
 			}
+		}
 
-			const { redeemCode, shopStatus, dailiesCheck, weekliesCheck } = account;
-			if (dailiesCheck && typeof dailiesCheck !== "boolean") {
-				throw new app.Error({
-					message: "Invalid check provided for HoyoLab expected boolean.",
-					args: {
-						dailiesCheck,
-						type: typeof dailiesCheck
-					}
-				});
-			}
-			if (weekliesCheck && typeof weekliesCheck !== "boolean") {
-				throw new app.Error({
-					message: "Invalid check provided for HoyoLab expected boolean.",
-					args: {
-						weekliesCheck,
-						type: typeof weekliesCheck
-					}
-				});
-			}
-			if (redeemCode && typeof redeemCode !== "boolean") {
-				throw new app.Error({
-					message: "Invalid check provided for HoyoLab expected boolean.",
-					args: {
-						redeemCode,
-						type: typeof redeemCode
-					}
-				});
-			}
-			if (shopStatus && typeof shopStatus !== "boolean") {
-				throw new app.Error({
-					message: "Invalid check provided for HoyoLab expected boolean.",
-					args: {
-						shopStatus,
-						type: typeof shopStatus
-					}
-				});
-			}
+		this.#gameId = defaults.gameId;
+		this.#config = defaults.config ?? {};
 
-			const { realm } = account;
-			if (realm && typeof realm.check !== "boolean") {
-				throw new app.Error({
-					message: "Invalid realm.check provided for HoyoLab expected boolean.",
-					args: {
-						realm,
-						type: typeof realm.check
-					}
-				});
-			}
-			if (realm && typeof realm.persistent !== "boolean") {
-				throw new app.Error({
-					message: "Invalid realm.persistent provided for HoyoLab expected boolean.",
-					args: {
-						realm,
-						type: typeof realm.persistent
-					}
-				});
-			}
+		HoyoLab.list.push(this);
+	}
 
-			const { stamina } = account;
-			if (!stamina || typeof stamina.check !== "boolean" || typeof stamina.threshold !== "number" || typeof stamina.persistent !== "boolean") {
-				throw new app.Error({
-					message: "Invalid stamina object provided for HoyoLab.",
-					args: {
-						stamina
-					}
-				});
-			}
+	/**
+	 * Validates a configured account.
+	 * @param {Object} account Entry of the `data` config
+	 * @param {Object} defaults Defaults of the game
+	 * @returns {Object|null} Entry of `data`, null if the account is skipped
+	 */
+	#parseEntry (account, defaults) {
+		if (typeof account.cookie === "object") {
+			throw new app.Error({
+				message: "This cookie method is deprecated, please follow the new cookie guide again: https://gist.github.com/torikushiii/59eff33fc8ea89dbc0b2e7652db9d3fd"
+			});
+		}
 
-			const maxStamina = defaults.config.maxStamina;
-			if (stamina.threshold > maxStamina) {
-				throw new app.Error({
-					message: `Invalid stamina threshold provided for ${name}. Maximum stamina is ${maxStamina}.`,
-					args: {
-						threshold: stamina.threshold
-					}
-				});
-			}
+		if (account.cookie.length === 0) {
+			// this will just skip the account if there is no cookie provided
+			return null;
+		}
+		if (account.active === false) {
+			return null;
+		}
 
-			const { expedition } = account;
-			if (expedition && typeof expedition.check !== "boolean") {
+		// Either the cookie itself or a `vault:<name>` reference to a cookie in the credential vault
+		const cookie = app.CredentialStore.dereference(account.cookie);
+
+		const { roles } = account;
+		if (roles && (typeof roles !== "object" || ["include", "exclude"].some(i => roles[i] && !Array.isArray(roles[i])))) {
+			throw new app.Error({
+				message: "Invalid roles provided for HoyoLab expected include and exclude arrays.",
+				args: {
+					roles
+				}
+			});
+		}
+
+		if (this.#name === "honkai" || this.#name === "tot") {
+			const parsedCookie = this.#parseCookie(cookie);
+			const ltuid = cookie.match(/ltuid_v2=([^;]+)/)[1];
+			return {
+				cookie: app.CredentialStore.resolve(parsedCookie.cookie),
+				ltuid,
+				discord: account.discord ?? null,
+				telegram: account.telegram ?? null,
+				email: account.email ?? null,
+				quietHours: (account.quietHours) ? new app.QuietHours(account.quietHours) : null,
+				roles: roles ?? null,
+				identity: account.identity ?? null
+			};
+		}
+
+		const { redeemCode, shopStatus, dailiesCheck, weekliesCheck } = account;
+		if (dailiesCheck && typeof dailiesCheck !== "boolean") {
+			throw new app.Error({
+				message: "Invalid check provided for HoyoLab expected boolean.",
+				args: {
+					dailiesCheck,
+					type: typeof dailiesCheck
+				}
+			});
+		}
+		if (weekliesCheck && typeof weekliesCheck !== "boolean") {
+			throw new app.Error({
+				message: "Invalid check provided for HoyoLab expected boolean.",
+				args: {
+					weekliesCheck,
+					type: typeof weekliesCheck
+				}
+			});
+		}
+		if (redeemCode && typeof redeemCode !== "boolean") {
+			throw new app.Error({
+				message: "Invalid check provided for HoyoLab expected boolean.",
+				args: {
+					redeemCode,
+					type: typeof redeemCode
+				}
+			});
+		}
+		if (shopStatus && typeof shopStatus !== "boolean") {
+			throw new app.Error({
+				message: "Invalid check provided for HoyoLab expected boolean.",
+				args: {
+					shopStatus,
+					type: typeof shopStatus
+				}
+			});
+		}
+
+		const { realm } = account;
+		if (realm && typeof realm.check !== "boolean") {
+			throw new app.Error({
+				message: "Invalid realm.check provided for HoyoLab expected boolean.",
+				args: {
+					realm,
+					type: typeof realm.check
+				}
+			});
+		}
+		if (realm && typeof realm.persistent !== "boolean") {
+			throw new app.Error({
+				message: "Invalid realm.persistent provided for HoyoLab expected boolean.",
+				args: {
+					realm,
+					type: typeof realm.persistent
+				}
+			});
+		}
+
+		const { reserve } = account;
+		if (reserve && (typeof reserve.check !== "boolean" || typeof reserve.persistent !== "boolean")) {
+			throw new app.Error({
+				message: "Invalid reserve object provided for HoyoLab expected check and persistent booleans.",
+				args: {
+					reserve
+				}
+			});
+		}
+
+		const { stamina } = account;
+		const hasLevels = Array.isArray(stamina?.levels) && stamina.levels.length !== 0;
+		if (!stamina || typeof stamina.check !== "boolean" || (!hasLevels && typeof stamina.threshold !== "number") || typeof stamina.persistent !== "boolean") {
+			throw new app.Error({
+				message: "Invalid stamina object provided for HoyoLab.",
+				args: {
+					stamina
+				}
+			});
+		}
+
+		const maxStamina = defaults.config.maxStamina;
+		const levels = (hasLevels) ? stamina.levels : [{ threshold: stamina.threshold }];
+		for (const level of levels) {
+			if (typeof level?.threshold !== "number" || level.threshold > maxStamina) {
 				throw new app.Error({
-					message: "Invalid expedition.check provided for HoyoLab expected boolean.",
+					message: `Invalid stamina threshold provided for ${this.#name}. Maximum stamina is ${maxStamina}.`,
 					args: {
-						expedition
+						threshold: level?.threshold
 					}
 				});
 			}
-			if (expedition && typeof expedition.persistent !== "boolean") {
+			else if (level.severity && !STAMINA_SEVERITIES.includes(level.severity)) {
 				throw new app.Error({
-					message: "Invalid expedition.persistent provided for HoyoLab expected boolean.",
+					message: "Invalid stamina level severity provided for HoyoLab.",
 					args: {
-						expedition
+						severity: level.severity,
+						supportedSeverities: STAMINA_SEVERITIES
 					}
 				});
 			}
+		}
 
-			const parsedCookie = this.#parseCookie(account.cookie);
-			const ltuid = account.cookie.match(/ltuid_v2=([^;]+)/)[1];
-
-			this.#data.push({
-				cookie: parsedCookie.cookie,
-				ltuid,
-				redeemCode: parsedCookie.codeRedeem !== false ? redeemCode : parsedCookie.codeRedeem,
-				shopStatus,
-				realm,
-				dailiesCheck,
-				weekliesCheck,
-				stamina,
-				expedition,
-				discord: account.discord ?? null
+		const { expedition } = account;
+		if (expedition && typeof expedition.check !== "boolean") {
+			throw new app.Error({
+				message: "Invalid expedition.check provided for HoyoLab expected boolean.",
+				args: {
+					expedition
+				}
 			});
 		}
-
-		this.#gameId = defaults.gameId;
-		this.#config = defaults.config ?? {};
-
-		if (this.#config.regenRate) {
-			this.#dataCache = new DataCache(this.#config.regenRate);
+		if (expedition && typeof expedition.persistent !== "boolean") {
+			throw new app.Error({
+				message: "Invalid expedition.persistent provided for HoyoLab expected boolean.",
+				args: {
+					expedition
+				}
+			});
 		}
 
-		HoyoLab.list.push(this);
+		const parsedCookie = this.#parseCookie(cookie);
+		const ltuid = cookie.match(/ltuid_v2=([^;]+)/)[1];
+
+		return {
+			cookie: app.CredentialStore.resolve(parsedCookie.cookie),
+			ltuid,
+			redeemCode: parsedCookie.codeRedeem !== false ? redeemCode : parsedCookie.codeRedeem,
+			shopStatus,
+			realm,
+			reserve,
+			dailiesCheck,
+			weekliesCheck,
+			stamina,
+			expedition,
+			discord: account.discord ?? null,
+			telegram: account.telegram ?? null,
+			email: account.email ?? null,
+			quietHours: (account.quietHours) ? new app.QuietHours(account.quietHours) : null,
+			roles: roles ?? null,
+			identity: account.identity ?? null
+		};
 	}
 
 	get id () { return this.#id; }
@@ -197,9 +277,16 @@ module.exports = class HoyoLab {
 	get gameId () { return this.#gameId; }
 	get config () { return this.#config; }
 	get type () { return this.#name; }
-	get dataCache () { return this.#dataCache; }
 	get webAPI () { return HoyoLab.webAPI; }
 
+	/**
+	 * Logged in accounts whose cookie has not expired.
+	 * @returns {Object[]}
+	 */
+	get activeAccounts () {
+		return this.accounts.filter(i => !app.AuthHealth.isQuarantined(i));
+	}
+
 	get fullName () {
 		const nameMap = {
 			honkai: "HonkaiImpact",
@@ -212,7 +299,161 @@ module.exports = class HoyoLab {
 		return nameMap[this.name] || this.name;
 	}
 
-	destroy () {}
+	/**
+	 * Number of configured accounts that are logged in, whose cookie has expired and that failed
+	 * to log in and are being retried.
+	 * @returns {{ live: number, expired: number, failed: number }}
+	 */
+	get status () {
+		return {
+			live: this.activeAccounts.length,
+			expired: this.#data.filter(i => app.AuthHealth.isExpired(i.cookie)).length,
+			failed: this.#failed.length
+		};
+	}
+
+	/**
+	 * Logs into every configured account. An account that fails to log in doesn't affect the
+	 * others, it is retried in the background with an exponential backoff.
+	 * @returns {Promise<void>}
+	 */
+	async login () {
+		await this.#loginAll(this.#data);
+	}
+
+	/**
+	 * Logs into a single configured account and adds it to `accounts`, implemented by every game.
+	 * Its request is sent with `context: { login: true }`, expired cookies are handled by `login` instead.
+	 * @param {Object} account Entry of `data`
+	 * @returns {Promise<{ retcode: number }|void>} The retcode if HoYoLAB rejected the cookie as expired
+	 */
+	// eslint-disable-next-line no-unused-vars
+	async loginAccount (account) {
+		throw new app.Error({
+			message: "loginAccount method not implemented by the HoyoLab module."
+		});
+	}
+
+	/**
+	 * Picks the roles of this game to log into from the game record card of an entry's HoYoLAB account.
+	 * Entries without a `roles` filter that don't belong to an identity keep logging into the first role only.
+	 * Roles are matched by UID, region code (`os_euro`) or region name (`EU`), roles that are
+	 * already logged in through another entry are skipped.
+	 * @param {Object[]} list Roles from the game record card
+	 * @param {Object} entry Entry of `data`
+	 * @returns {Object[]}
+	 */
+	getRoles (list, entry) {
+		const include = entry.roles?.include ?? [];
+		const exclude = entry.roles?.exclude ?? [];
+		const matches = (role, filters) => filters.some(i => String(i) === String(role.game_role_id)
+			|| i === role.region
+			|| i === HoyoLab.getRegion(role.region));
+
+		let roles = list.filter(i => i.game_id === this.#gameId)
+			.filter(i => include.length === 0 || matches(i, include))
+			.filter(i => !matches(i, exclude));
+
+		if (!entry.roles && !entry.identity) {
+			roles = roles.slice(0, 1);
+		}
+
+		return roles.filter((role) => {
+			const duplicate = this.accounts.some(i => i.uid === role.game_role_id);
+			if (duplicate) {
+				app.Logger.warn(this.fullName, `Skipping role ${role.game_role_id}, it is already logged in through another account`);
+			}
+
+			return !duplicate;
+		});
+	}
+
+	async #loginAll (entries) {
+		const failed = [];
+		for (const entry of entries) {
+			try {
+				const result = await this.loginAccount(entry);
+				if (app.AuthHealth.isExpiredRetcode(result?.retcode)) {
+					await this.#handleExpiredLogin(entry, result.retcode);
+				}
+			}
+			catch (e) {
+				failed.push(entry);
+				app.Logger.error(this.fullName, `Failed to log into account ${entry.ltuid}: ${e.message}`);
+			}
+		}
+
+		this.#failed = failed;
+		if (failed.length === 0) {
+			this.#retryAttempt = 0;
+			return;
+		}
+
+		const delay = Math.min(LOGIN_RETRY_MAX, LOGIN_RETRY_BASE * (2 ** this.#retryAttempt));
+		this.#retryAttempt++;
+
+		clearTimeout(this.#retryTimeout);
+		this.#retryTimeout = setTimeout(async () => {
+			try {
+				await this.#retry();
+			}
+			catch (e) {
+				app.Logger.error(this.fullName, `Failed to retry logging in: ${e.message}`);
+			}
+		}, delay);
+		app.Logger.warn(this.fullName, `Retrying to log into ${failed.length} account(s) in ${app.Utils.formatTime(delay / 1000)}`);
+	}
+
+	/**
+	 * Refreshes the expired cookie of an entry and logs in with it once. If it is still rejected, or could not be
+	 * refreshed, the cookie is quarantined and its owner notified by AuthHealth, and the entry is retried with the
+	 * other failed ones.
+	 * @param {Object} entry Entry of `data`
+	 * @param {number} retcode
+	 * @returns {Promise<void>}
+	 */
+	async #handleExpiredLogin (entry, retcode) {
+		let rejected = retcode;
+
+		// The refreshed cookie replaces the one of the entry
+		if (await app.CookieRefresher.refresh(entry.cookie)) {
+			const result = await this.loginAccount(entry);
+			if (!app.AuthHealth.isExpiredRetcode(result?.retcode)) {
+				return;
+			}
+
+			rejected = result.retcode;
+		}
+
+		await app.AuthHealth.report(entry.cookie, rejected, { refresh: false });
+		throw new app.Error({
+			message: "The cookie of the account has expired",
+			args: {
+				retcode: rejected
+			}
+		});
+	}
+
+	async #retry () {
+		this.#retryTimeout = null;
+
+		const count = this.accounts.length;
+		await this.#loginAll(this.#failed);
+
+		const recovered = this.accounts.slice(count);
+		for (const account of recovered) {
+			await app.AccountState.restore(account);
+		}
+
+		if (recovered.length !== 0) {
+			app.Logger.info(this.fullName, `Logged into ${recovered.length} account(s) after retrying`);
+		}
+	}
+
+	destroy () {
+		clearTimeout(this.#retryTimeout);
+		this.#retryTimeout = null;
+	}
 
 	#parseCookie (cookie) {
 		const cookies = cookie.split("; ");
@@ -317,6 +558,89 @@ module.exports = class HoyoLab {
 		}
 
 		this.accounts[index] = account;
+
+		app.AccountState.save(account).catch((e) => {
+			app.Logger.error(this.fullName, `Failed to save the state of ${account.uid}: ${e.message}`);
+		});
+	}
+
+	/**
+	 * Restores the persisted runtime state of every logged in account.
+	 * @returns {Promise<void>}
+	 */
+	async restoreState () {
+		for (const account of this.accounts) {
+			await app.AccountState.restore(account);
+		}
+	}
+
+	/**
+	 * Applies the per-account settings of another, not logged in instance of the same game to the
+	 * logged in accounts, matched by cookie. Runtime state such as the `fired` flags is kept.
+	 * @param {HoyoLab} source Instance created from the new configuration
+	 * @returns {number} Number of updated accounts
+	 */
+	updateSettings (source) {
+		let updated = 0;
+		for (const account of this.accounts) {
+			const settings = source.data.find(i => i.cookie === account.cookie);
+			if (!settings) {
+				continue;
+			}
+
+			for (const key of ["redeemCode", "dailiesCheck", "weekliesCheck"]) {
+				if (key in account) {
+					account[key] = settings[key];
+				}
+			}
+
+			if (account.stamina) {
+				account.stamina = {
+					...settings.stamina,
+					fired: account.stamina.fired,
+					notified: account.stamina.notified
+				};
+			}
+			if (account.expedition) {
+				account.expedition = { ...settings.expedition, fired: account.expedition.fired };
+			}
+			if (account.realm) {
+				account.realm = {
+					check: settings.realm?.check ?? false,
+					persistent: settings.realm?.persistent ?? false,
+					fired: account.realm.fired
+				};
+			}
+			if (account.reserve) {
+				account.reserve = {
+					check: settings.reserve?.check ?? false,
+					persistent: settings.reserve?.persistent ?? false,
+					fired: account.reserve.fired,
+					fullAt: account.reserve.fullAt,
+					wastingSince: account.reserve.wastingSince
+				};
+			}
+			if (account.shop) {
+				account.shop = { check: settings.shopStatus, fired: account.shop.fired };
+			}
+
+			if ("discord" in account) {
+				account.discord = (settings.discord?.userId?.length === 0) ? null : settings.discord;
+				account.telegram = settings.telegram;
+				account.email = settings.email;
+				account.quietHours = settings.quietHours;
+			}
+
+			this.update(account);
+			updated++;
+		}
+
+		return updated;
+	}
+
+	static remove (instance) {
+		instance.destroy();
+		HoyoLab.list = HoyoLab.list.filter(i => i !== instance);
 	}
 
 	static supportedGames (options = {}) {
@@ -374,6 +698,24 @@ module.exports = class HoyoLab {
 		const [account] = accountData;
 
 		const res = await platform.redeemCode(account, code);
+
+		// Only conclusive results are recorded, a code that failed otherwise can still be redeemed automatically
+		const status = app.CodeLedger.resolveStatus(res);
+		if (status === "expired") {
+			await app.CodeLedger.expire(game, code, {
+				reason: res.message,
+				source: account.uid
+			});
+		}
+		if (status === "redeemed" || status === "expired") {
+			await app.CodeLedger.record(game, account.uid, {
+				code,
+				status,
+				reason: (res.success) ? null : res.message,
+				sources: ["manual"]
+			});
+		}
+
 		if (res.success) {
 			return { success: true };
 		}
@@ -418,7 +760,7 @@ module.exports = class HoyoLab {
 				return null;
 			}
 
-			return i.accounts;
+			return i.activeAccounts;
 		}).filter(i => i !== null);
 
 		if (options.uid) {
@@ -433,7 +775,12 @@ module.exports = class HoyoLab {
 		return HoyoLab.list.map(platform => platform.name);
 	}
 
-	static getAccountById (uid) {
+	/**
+	 * @param {string} uid
+	 * @param {string|null} [platform] Name of the game, UIDs of different games can be the same
+	 * @returns {Object|null}
+	 */
+	static getAccountById (uid, platform = null) {
 		if (typeof uid !== "string") {
 			throw new app.Error({
 				message: "Invalid UID provided for getAccountById expected string.",
@@ -444,7 +791,10 @@ module.exports = class HoyoLab {
 			});
 		}
 
-		const accounts = HoyoLab.list.flatMap(platform => platform.accounts);
+		const accounts = HoyoLab.list
+			.filter(i => platform === null || i.name === platform)
+			.flatMap(i => i.accounts);
+
 		return accounts.find(account => account.uid === uid) ?? null;
 	}
 
@@ -487,6 +837,15 @@ module.exports = class HoyoLab {
 		return CustomHoyoError(type, code);
 	}
 
+	/**
+	 * Returns the HoYoLAB battle record page of a game, if it has one.
+	 * @param {string} type Game name, e.g. "genshin"
+	 * @returns {string|null}
+	 */
+	static getBattleRecords (type) {
+		return BattleRecords(type) ?? null;
+	}
+
 	static get (identifier) {
 		if (identifier instanceof HoyoLab) {
 			return identifier;
@@ -539,33 +898,41 @@ module.exports = class HoyoLab {
 			}
 		});
 
-		if (!res.ok) {
+		if (res.statusCode !== 200) {
 			app.Logger.log(`${this.fullName}:UpdateCookie`, {
 				message: "Failed to update cookie",
 				args: {
 					platform: this.name,
 					uid: accountData.uid,
-					region: accountData.region,
-					body: res.body
+					statusCode: res.statusCode
 				}
 			});
 
-			return { success: false };
+			return {
+				success: false,
+				data: {
+					reason: `HoYoLAB responded with status code ${res.statusCode}`
+				}
+			};
 		}
 
-		const data = res.body.data;
-		if (!data || data.status !== 1 || !data?.cookie_info) {
+		const data = res.body?.data;
+		if (!data || data.status !== 1 || !data.cookie_info) {
 			app.Logger.log(`${this.fullName}:UpdateCookie`, {
 				message: "Failed to update cookie",
 				args: {
 					platform: this.name,
 					uid: accountData.uid,
-					region: accountData.region,
-					body: JSON.parse(res.body)
+					body: res.body
 				}
 			});
 
-			return { success: false };
+			return {
+				success: false,
+				data: {
+					reason: data?.msg ?? res.body?.message ?? "No cookie info received"
+				}
+			};
 		}
 
 		const accountId = data.cookie_info.account_id;
@@ -586,8 +953,7 @@ module.exports = class HoyoLab {
 			return new InstancePlatform(config);
 		}
 		catch (e) {
-			console.log(`Failed to create platform ${type}.`);
-			console.error(e);
+			app.Logger.error("HoyoLab", `Failed to create platform ${type}: ${e.message}`);
 		}
 	}
 };
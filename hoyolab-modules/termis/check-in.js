@@ -11,10 +11,10 @@ module.exports = class CheckIn {
 	}
 
 	async checkAndExecute () {
-		const accounts = this.#instance.accounts;
+		const accounts = this.#instance.activeAccounts;
 		if (accounts.length === 0) {
 			app.Logger.warn("No active accounts found for Tears of Themis");
-			return;
+			return [];
 		}
 
 		const success = [];
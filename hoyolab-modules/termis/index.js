@@ -37,40 +37,38 @@ module.exports = class TearsOfThemis extends require("../template.js") {
 		}
 	}
 
-	async login () {
-		const accounts = this.data;
+	async loginAccount (account) {
+		const cookieData = account.cookie;
+		const ltuid = account.ltuid;
 
-		let accountList = 0;
-		for (const account of accounts) {
-			const cookieData = account.cookie;
-			const ltuid = account.ltuid;
+		this.#logo = "https://hyl-static-res-prod.hoyolab.com/communityweb/business/nxx_hoyoverse.png";
+		this.#color = 0xFF8300;
 
-			this.#logo = "https://hyl-static-res-prod.hoyolab.com/communityweb/business/nxx_hoyoverse.png";
-			this.#color = 0xFF8300;
-
-			this.accounts.push({
-				platform: this.name,
-				uid: ltuid,
-				nickname: "",
-				region: "Global",
-				timezone: "GLOBAL",
-				level: "",
-				cookie: cookieData,
-				game: {
-					name: "Tears of Themis",
-					short: "ToT"
-				},
-				assets: {
-					...this.config.assets,
-					...this.config.url,
-					logo: this.#logo,
-					color: this.#color
-				}
-			});
+		this.accounts.push({
+			platform: this.name,
+			uid: ltuid,
+			nickname: "",
+			region: "Global",
+			timezone: "GLOBAL",
+			level: "",
+			cookie: cookieData,
+			game: {
+				name: "Tears of Themis",
+				short: "ToT"
+			},
+			discord: (account?.discord?.userId?.length === 0) ? null : account.discord,
+			telegram: account.telegram ?? null,
+			email: account.email ?? null,
+			quietHours: account.quietHours ?? null,
+			assets: {
+				...this.config.assets,
+				...this.config.url,
+				logo: this.#logo,
+				color: this.#color
+			}
+		});
 
-			accountList++;
-			app.Logger.info(this.fullName, `Logged into account ${accountList} [${ltuid}] (Tears of Themis)`);
-		}
+		app.Logger.info(this.fullName, `Logged into account ${this.accounts.length} [${ltuid}] (Tears of Themis)`);
 	}
 
 	get logo () { return this.#logo; }
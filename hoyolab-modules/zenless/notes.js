@@ -11,23 +11,6 @@ module.exports = class RealtimeNotes {
 	}
 
 	async notes (accountData) {
-		const cachedData = await this.#instance.dataCache.get(accountData.uid);
-
-		const { threshold } = accountData.stamina;
-		if (cachedData && cachedData.stamina.currentStamina < threshold) {
-			return {
-				success: true,
-				data: {
-					...cachedData,
-					assets: {
-						...this.#instance.config.assets,
-						logo: this.#logo,
-						color: this.#color
-					}
-				}
-			};
-		}
-
 		const cookieData = app.HoyoLab.parseCookie(accountData.cookie, {
 			whitelist: [
 				"ltoken_v2",
@@ -122,18 +105,6 @@ module.exports = class RealtimeNotes {
 			return { success: false };
 		}
 
-		await this.#instance.dataCache.set(accountData.uid, {
-			uid: accountData.uid,
-			nickname: accountData.nickname,
-			lastUpdate: app.Date.now(),
-			expires: app.Date.now(),
-			cardSign,
-			stamina,
-			dailies,
-			weeklies,
-			shop
-		});
-
 		return {
 			success: true,
 			data: {
@@ -4,6 +4,7 @@ const JSON5 = require("json5");
 const Command = require("./classes/command.js");
 const Config = require("./classes/config.js");
 const Got = require("./classes/got.js");
+const RequestScheduler = require("./classes/request-scheduler.js");
 
 const Cache = require("./singleton/cache.js");
 const Logger = require("./singleton/logger.js");
@@ -12,9 +13,14 @@ const Utils = require("./singleton/utils.js");
 const HoyoLab = require("./hoyolab-modules/template.js");
 const Platform = require("./platforms/template.js");
 
+const AccountState = require("./object/account-state.js");
+const AuthHealth = require("./object/auth-health.js");
+const CodeLedger = require("./object/code-ledger.js");
+const CookieRefresher = require("./object/cookie-refresher.js");
+const CredentialStore = require("./object/credential-store.js");
 const Date = require("./object/date.js");
 const Error = require("./object/error.js");
-const RegionalTaskManager = require("./object/regional-task-manager.js");
+const QuietHours = require("./object/quiet-hours.js");
 
 let config;
 try {
@@ -42,9 +48,14 @@ catch (e) {
 	}
 
 	globalThis.app = {
+		AccountState,
+		AuthHealth,
+		CodeLedger,
+		CookieRefresher,
+		CredentialStore,
 		Date,
 		Error,
-		RegionalTaskManager,
+		QuietHours,
 
 		Config,
 		Command,
@@ -55,6 +66,11 @@ catch (e) {
 		Utils: new Utils()
 	};
 
+	// Identities are expanded into the account definitions of every game they have roles in
+	config = Config.expandIdentities(config);
+	RequestScheduler.validateLimits(config.rateLimits);
+	const initialConfig = structuredClone(config);
+
 	app.Logger.info("Client", "Loading configuration data");
 	Config.load(config);
 	app.Logger.info("Client", `Loaded ${Config.data.size} configuration entries`);
@@ -72,6 +88,9 @@ catch (e) {
 		process.exit(0);
 	}
 
+	// Cookies refreshed in an earlier run replace the configured ones they were refreshed from
+	CredentialStore.load();
+
 	const accounts = new Set();
 	for (const definition of accountsConfig) {
 		if (!definition.active) {
@@ -79,7 +98,14 @@ catch (e) {
 			continue;
 		}
 
-		accounts.add(HoyoLab.create(definition.type, definition));
+		// An invalid definition doesn't stop the other games from logging in
+		const instance = HoyoLab.create(definition.type, definition);
+		if (!instance) {
+			app.Logger.error("Client", `Skipping ${definition.type} accounts (id ${definition.id}), their configuration is invalid`);
+			continue;
+		}
+
+		accounts.add(instance);
 	}
 
 	const definitions = require("./gots/index.js");
@@ -91,6 +117,9 @@ catch (e) {
 		HoyoLab
 	};
 
+	await AuthHealth.load();
+
+	// Accounts that fail to log in are retried in the background and don't stop the others
 	const hoyoPromises = [];
 	for (const account of accounts) {
 		hoyoPromises.push(account.login());
@@ -98,6 +127,19 @@ catch (e) {
 
 	await Promise.all(hoyoPromises);
 
+	let liveAccounts = 0;
+	for (const account of accounts) {
+		await account.restoreState();
+
+		const { live, expired, failed } = account.status;
+		liveAccounts += live;
+		app.Logger.info("Client", `${account.fullName}: ${live} live, ${expired} with an expired cookie, ${failed} retrying`);
+	}
+
+	if (liveAccounts === 0) {
+		app.Logger.warn("Client", "No account is live yet, commands and notifications are available once one logs in");
+	}
+
 	const platforms = new Set();
 	for (const definition of platformsConfig) {
 		if (!definition.active) {
@@ -113,11 +155,31 @@ catch (e) {
 		promises.push(platform.connect());
 	}
 
-	await Promise.all(promises);
+	const results = await Promise.allSettled(promises);
+	for (const [index, platform] of [...platforms].entries()) {
+		const { status, reason } = results[index];
+		if (status === "rejected") {
+			app.Logger.log("Client", {
+				message: `Failed to connect ${platform.name} platform (id ${platform.id}), continuing without it`,
+				args: { error: reason }
+			});
+
+			Platform.remove(platform);
+		}
+	}
+
+	// Cookies that expired while logging in could not be reported before the platforms connected
+	await AuthHealth.notifyPending();
 
 	const end = process.hrtime.bigint();
 	app.Logger.info("Client", `Initialize completed (${Number(end - start) / 1e6}ms)`);
 
+	if (config.hotReload !== false) {
+		const ConfigReloader = require("./object/config-reloader.js");
+		const reloader = new ConfigReloader("./config.json5", initialConfig);
+		reloader.watch();
+	}
+
 	process.on("unhandledRejection", (reason) => {
 		if (!(reason instanceof Error)) {
 			return;
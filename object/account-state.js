@@ -0,0 +1,156 @@
+/**
+ * Fields of the account objects that change at runtime and are persisted, per section of the account.
+ * Settings from the config, such as `check` or `persistent`, are never persisted.
+ */
+const STATE_FIELDS = {
+	stamina: ["fired", "notified"],
+	expedition: ["fired"],
+	realm: ["fired"],
+	shop: ["fired"],
+	reserve: ["fired", "fullAt", "wastingSince"]
+};
+
+/**
+ * Persists the runtime state of accounts (the `fired` flags of the reminders and the days the
+ * daily reminders last ran) in the cache under one key per account, so a restart neither
+ * re-sends alerts nor daily reminders. The state is saved on every `HoyoLab#update` and
+ * restored once the account has logged in.
+ */
+module.exports = class AccountState {
+	/**
+	 * Version of the stored schema. When the schema changes, bump it and add a migration
+	 * from the previous version to `AccountState.migrations`.
+	 */
+	static version = 1;
+
+	/**
+	 * Migrations keyed by the version they upgrade from, each returns the state in the next version.
+	 * @type {Map<number, function(Object): Object>}
+	 */
+	static migrations = new Map();
+
+	/** @type {Map<string, Promise>} */
+	static #writes = new Map();
+
+	static getCacheKey (game, uid) {
+		return `account-state-${game}-${uid}`;
+	}
+
+	/**
+	 * @param {Object} account
+	 * @returns {Object|null} State to persist, null if the account has none
+	 */
+	static extract (account) {
+		const state = {};
+		for (const [section, fields] of Object.entries(STATE_FIELDS)) {
+			if (!account[section]) {
+				continue;
+			}
+
+			state[section] = {};
+			for (const field of fields) {
+				if (typeof account[section][field] !== "undefined") {
+					state[section][field] = account[section][field];
+				}
+			}
+		}
+
+		if (account.reminders) {
+			state.reminders = { ...account.reminders };
+		}
+
+		if (Object.keys(state).length === 0) {
+			return null;
+		}
+
+		return {
+			version: AccountState.version,
+			...state
+		};
+	}
+
+	/**
+	 * @param {Object} account
+	 * @returns {Promise<void>}
+	 */
+	static async save (account) {
+		const state = AccountState.extract(account);
+		if (!state) {
+			return;
+		}
+
+		const key = AccountState.getCacheKey(account.platform, account.uid);
+		const previous = AccountState.#writes.get(key) ?? Promise.resolve();
+		const task = previous.catch(() => {}).then(() => app.Cache.set({
+			key,
+			value: state
+		}));
+
+		AccountState.#writes.set(key, task);
+		try {
+			await task;
+		}
+		finally {
+			if (AccountState.#writes.get(key) === task) {
+				AccountState.#writes.delete(key);
+			}
+		}
+	}
+
+	/**
+	 * Applies the persisted state to a freshly logged in account.
+	 * @param {Object} account
+	 * @returns {Promise<boolean>} Whether any state was restored
+	 */
+	static async restore (account) {
+		const key = AccountState.getCacheKey(account.platform, account.uid);
+		const stored = await app.Cache.get(key);
+		if (!stored) {
+			return false;
+		}
+
+		const state = AccountState.migrate(stored);
+		if (!state) {
+			app.Logger.warn("AccountState", `Discarding the stored state of ${account.uid}, its version ${stored.version} is not supported`);
+			await app.Cache.delete(key);
+			return false;
+		}
+
+		for (const [section, fields] of Object.entries(STATE_FIELDS)) {
+			if (!account[section] || !state[section]) {
+				continue;
+			}
+
+			for (const field of fields) {
+				if (typeof state[section][field] !== "undefined") {
+					account[section][field] = state[section][field];
+				}
+			}
+		}
+
+		if (state.reminders) {
+			account.reminders = { ...state.reminders };
+		}
+
+		return true;
+	}
+
+	/**
+	 * Upgrades a stored state to the current version.
+	 * @param {Object} state
+	 * @returns {Object|null} Null if the state can't be upgraded, e.g. it was stored by a newer version
+	 */
+	static migrate (state) {
+		let current = state;
+		while (current.version !== AccountState.version) {
+			const migration = AccountState.migrations.get(current.version);
+			if (!migration) {
+				return null;
+			}
+
+			current = migration(current);
+		}
+
+		return current;
+	}
+};
@@ -0,0 +1,252 @@
+const crypto = require("node:crypto");
+
+const CACHE_KEY = "auth-health";
+const COOKIE_GUIDE = "https://gist.github.com/torikushiii/59eff33fc8ea89dbc0b2e7652db9d3fd";
+const COOKIE_USER_REGEX = /(?:ltuid_v2|account_id_v2)=(\d+)/;
+
+/**
+ * Tracks which HoYoLAB cookies have expired. A cookie is reported as expired as soon as any
+ * request made with it is answered with one of the `EXPIRED_RETCODES`, after which the accounts
+ * using it are quarantined: they are skipped by `HoyoLab.getActiveAccounts` and the crons until a
+ * different cookie is supplied for the same HoYoLAB user, or a request with it succeeds again.
+ * The owner of the accounts is notified once per expired cookie. The state is kept in the cache
+ * so a restart with the same expired cookie does not notify again.
+ */
+module.exports = class AuthHealth {
+	static EXPIRED_RETCODES = [-100, -10001, -1071];
+
+	/** @type {Map<string, { fingerprint: string, retcode: number, since: number, notified: boolean }>} */
+	static #state = new Map();
+	static #write = Promise.resolve();
+	static #notifying = Promise.resolve();
+
+	static isExpiredRetcode (retcode) {
+		return AuthHealth.EXPIRED_RETCODES.includes(Number(retcode));
+	}
+
+	/**
+	 * @param {string} cookie
+	 * @returns {string|null} HoYoLAB user ID of the cookie
+	 */
+	static getUser (cookie) {
+		return String(cookie ?? "").match(COOKIE_USER_REGEX)?.[1] ?? null;
+	}
+
+	/**
+	 * Cookies are never stored, only a hash that tells whether a cookie was replaced.
+	 * @param {string} cookie
+	 * @returns {string}
+	 */
+	static getFingerprint (cookie) {
+		return crypto.createHash("sha256")
+			.update(String(cookie))
+			.digest("hex")
+			.slice(0, 16);
+	}
+
+	/**
+	 * @param {string} cookie
+	 * @returns {boolean}
+	 */
+	static isExpired (cookie) {
+		const entry = AuthHealth.#state.get(AuthHealth.getUser(cookie));
+		return Boolean(entry) && entry.fingerprint === AuthHealth.getFingerprint(cookie);
+	}
+
+	/**
+	 * @param {Object} account
+	 * @returns {boolean}
+	 */
+	static isQuarantined (account) {
+		return AuthHealth.isExpired(account.cookie);
+	}
+
+	/**
+	 * Loads the persisted state, must be called before the accounts log in.
+	 * @returns {Promise<void>}
+	 */
+	static async load () {
+		const stored = await app.Cache.get(CACHE_KEY) ?? {};
+		AuthHealth.#state = new Map(Object.entries(stored));
+	}
+
+	/**
+	 * Marks a cookie as expired and notifies the owner of its accounts, unless it already was
+	 * or its token could be refreshed.
+	 * @param {string} cookie
+	 * @param {number} retcode
+	 * @param {Object} [options]
+	 * @param {boolean} [options.refresh] Try to refresh the cookie first, off if it was just refreshed and still rejected
+	 * @returns {Promise<void>}
+	 */
+	static async report (cookie, retcode, options = {}) {
+		const user = AuthHealth.getUser(cookie);
+		if (!user || AuthHealth.isExpired(cookie)) {
+			return;
+		}
+
+		const refreshed = (options.refresh !== false) ? await app.CookieRefresher.refresh(cookie) : null;
+		if (refreshed || AuthHealth.isExpired(cookie)) {
+			return;
+		}
+
+		app.Logger.warn("AuthHealth", `The cookie of HoYoLAB user ${user} has expired (retcode ${retcode}), its accounts are quarantined until it is replaced`);
+		AuthHealth.#state.set(user, {
+			fingerprint: AuthHealth.getFingerprint(cookie),
+			retcode: Number(retcode),
+			since: Date.now(),
+			notified: false
+		});
+
+		await AuthHealth.#save();
+		await AuthHealth.notifyPending();
+	}
+
+	/**
+	 * Lifts the quarantine of a cookie after a request with it succeeded.
+	 * @param {string} cookie
+	 * @returns {Promise<void>}
+	 */
+	static async recover (cookie) {
+		const user = AuthHealth.getUser(cookie);
+		if (!user || !AuthHealth.#state.has(user)) {
+			return;
+		}
+
+		AuthHealth.#state.delete(user);
+		app.Logger.info("AuthHealth", `The cookie of HoYoLAB user ${user} is valid again, its accounts are no longer quarantined`);
+
+		await AuthHealth.#save();
+	}
+
+	/**
+	 * Got hook that reports expired cookies and recovers working ones from every HoYoLAB response.
+	 * Login requests, sent with `context: { login: true }`, refresh and report their expired cookies themselves.
+	 * @param {Object} response
+	 * @returns {Object} The unchanged response
+	 */
+	static inspect (response) {
+		const options = response.request?.options ?? {};
+		const headers = options.headers ?? {};
+		const cookie = headers.cookie ?? headers.Cookie;
+		const retcode = response.body?.retcode;
+		if (!cookie || typeof retcode !== "number") {
+			return response;
+		}
+
+		let task = null;
+		if (AuthHealth.isExpiredRetcode(retcode) && options.context?.login !== true) {
+			task = AuthHealth.report(cookie, retcode);
+		}
+		else if (retcode === 0) {
+			task = AuthHealth.recover(cookie);
+		}
+
+		task?.catch((e) => {
+			app.Logger.error("AuthHealth", `Failed to update the auth state: ${e.message}`);
+		});
+
+		return response;
+	}
+
+	/**
+	 * Notifies the owners of expired cookies that were not notified yet, e.g. because the
+	 * cookie expired while logging in, before any platform was connected.
+	 * @returns {Promise<void>}
+	 */
+	static notifyPending () {
+		// Serialized, so concurrent reports don't notify about the same cookie twice
+		const task = AuthHealth.#notifying.catch(() => {}).then(() => AuthHealth.#notifyPending());
+		AuthHealth.#notifying = task;
+
+		return task;
+	}
+
+	static async #notifyPending () {
+		if (!app.Platform || app.Platform.list.length === 0) {
+			return;
+		}
+
+		let changed = false;
+		for (const [user, entry] of AuthHealth.#state) {
+			if (entry.notified) {
+				continue;
+			}
+
+			const owner = AuthHealth.findOwner(user, entry.fingerprint);
+			if (!owner) {
+				continue;
+			}
+
+			const delivered = await app.Platform.notify("cookie-expired", {
+				title: "Cookie Expired",
+				description: "Your HoYoLAB cookie has expired or was invalidated. Log in to HoYoLAB again, copy a fresh cookie "
+					+ `as described in ${COOKIE_GUIDE} and replace it in your config. `
+					+ "Your accounts are paused until then and resume automatically once the new cookie is loaded.",
+				mention: owner.account,
+				severity: "critical",
+				fields: [
+					{ name: "HoYoLAB UID", value: user },
+					{ name: "Accounts", value: owner.games.join(", ") },
+					{ name: "Retcode", value: entry.retcode }
+				],
+				data: {
+					ltuid: user,
+					retcode: entry.retcode,
+					since: entry.since
+				}
+			});
+
+			if (delivered > 0) {
+				entry.notified = true;
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			await AuthHealth.#save();
+		}
+	}
+
+	/**
+	 * Finds the accounts using an expired cookie. If none of them could log in, the account
+	 * configuration is used to know who to notify.
+	 * @param {string} user
+	 * @param {string} fingerprint
+	 * @returns {{ account: Object, games: string[] }|null}
+	 */
+	static findOwner (user, fingerprint) {
+		const matches = (cookie) => AuthHealth.getUser(cookie) === user && AuthHealth.getFingerprint(cookie) === fingerprint;
+
+		const games = [];
+		let account = null;
+		for (const instance of app.HoyoLab.list) {
+			const loggedIn = instance.accounts.find(i => matches(i.cookie));
+			const configured = instance.data.find(i => matches(i.cookie));
+			if (!loggedIn && !configured) {
+				continue;
+			}
+
+			games.push((loggedIn) ? `${instance.fullName} (${loggedIn.uid})` : instance.fullName);
+			account ??= loggedIn ?? {
+				platform: instance.name,
+				discord: (configured.discord?.userId?.length === 0) ? null : configured.discord,
+				telegram: configured.telegram ?? null,
+				email: configured.email ?? null,
+				quietHours: configured.quietHours ?? null
+			};
+		}
+
+		return (account) ? { account, games } : null;
+	}
+
+	static async #save () {
+		const value = Object.fromEntries(AuthHealth.#state);
+		AuthHealth.#write = AuthHealth.#write.catch(() => {}).then(() => app.Cache.set({
+			key: CACHE_KEY,
+			value
+		}));
+
+		await AuthHealth.#write;
+	}
+};
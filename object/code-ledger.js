@@ -0,0 +1,258 @@
+// Already redeemed by this account, e.g. manually or before the ledger existed
+const REDEEMED_RETCODES = [-2017, -2018];
+// Redemption cooldown and rate limits, worth retrying on a later run
+const TRANSIENT_RETCODES = [-2016, -1048];
+const EXPIRED_RETCODE = -2001;
+
+/**
+ * Persistent record of every redemption code attempted for each account, stored in the cache
+ * under one key per account. Codes that failed for a transient reason are kept `pending`
+ * and retried until they reach `CodeLedger.maxAttempts`.
+ * Codes known to have expired are additionally tracked per game and never attempted again,
+ * as is the queue of codes added manually by users.
+ */
+module.exports = class CodeLedger {
+	static statuses = ["redeemed", "pending", "failed", "expired"];
+	static maxAttempts = 5;
+
+	/** @type {Map<string, Promise>} */
+	static #writes = new Map();
+
+	static getCacheKey (game, uid) {
+		return `code-ledger-${game}-${uid}`;
+	}
+
+	static getExpiredCacheKey (game) {
+		return `code-expired-${game}`;
+	}
+
+	static getQueueCacheKey (game) {
+		return `code-queue-${game}`;
+	}
+
+	/**
+	 * @param {string} game Account platform, e.g. "genshin" or "nap"
+	 * @param {string} uid
+	 * @returns {Promise<Object<string, { code: string, status: string, reason: string|null, attempts: number, sources: string[], timestamp: number }>>}
+	 */
+	static async get (game, uid) {
+		return await app.Cache.get(CodeLedger.getCacheKey(game, uid)) ?? {};
+	}
+
+	/**
+	 * Lists the entries of an account, most recent first.
+	 * @param {string} game
+	 * @param {string} uid
+	 * @returns {Promise<Object[]>}
+	 */
+	static async list (game, uid) {
+		const ledger = await CodeLedger.get(game, uid);
+		return Object.values(ledger).sort((a, b) => b.timestamp - a.timestamp);
+	}
+
+	/**
+	 * Checks whether a code should be attempted for an account given its ledger entry:
+	 * codes never attempted, and pending codes that still have attempts left.
+	 * @param {Object} [entry]
+	 * @returns {boolean}
+	 */
+	static shouldAttempt (entry) {
+		if (!entry) {
+			return true;
+		}
+
+		return entry.status === "pending" && entry.attempts < CodeLedger.maxAttempts;
+	}
+
+	/**
+	 * Records an attempt. A pending code that ran out of attempts is recorded as failed.
+	 * @param {string} game
+	 * @param {string} uid
+	 * @param {Object} data
+	 * @param {string} data.code
+	 * @param {"redeemed"|"pending"|"failed"} data.status
+	 * @param {string} [data.reason]
+	 * @param {string[]} [data.sources]
+	 * @returns {Promise<Object>} The updated entry
+	 */
+	static async record (game, uid, data) {
+		if (!CodeLedger.statuses.includes(data.status)) {
+			throw new app.Error({
+				message: "Invalid code ledger status provided.",
+				args: {
+					status: data.status,
+					supportedStatuses: CodeLedger.statuses
+				}
+			});
+		}
+
+		const key = CodeLedger.getCacheKey(game, uid);
+		const code = data.code.toUpperCase();
+
+		return await CodeLedger.#update(key, (ledger) => {
+			const existing = ledger[code];
+			const attempts = (existing?.attempts ?? 0) + 1;
+
+			const status = (data.status === "pending" && attempts >= CodeLedger.maxAttempts)
+				? "failed"
+				: data.status;
+
+			ledger[code] = {
+				code,
+				status,
+				reason: data.reason ?? null,
+				attempts,
+				sources: data.sources ?? existing?.sources ?? [],
+				timestamp: Date.now()
+			};
+
+			return ledger[code];
+		});
+	}
+
+	/**
+	 * @param {string} game
+	 * @returns {Promise<Object<string, { code: string, reason: string|null, source: string|null, timestamp: number }>>}
+	 */
+	static async getExpired (game) {
+		return await app.Cache.get(CodeLedger.getExpiredCacheKey(game)) ?? {};
+	}
+
+	/**
+	 * Marks a code as expired for every account of a game.
+	 * @param {string} game
+	 * @param {string} code
+	 * @param {Object} [data]
+	 * @param {string} [data.reason]
+	 * @param {string} [data.source] Code source or account that reported the expiry
+	 * @returns {Promise<boolean>} False if the code was already known to be expired
+	 */
+	static async expire (game, code, data = {}) {
+		code = code.toUpperCase();
+
+		return await CodeLedger.#update(CodeLedger.getExpiredCacheKey(game), (expired) => {
+			if (expired[code]) {
+				return false;
+			}
+
+			expired[code] = {
+				code,
+				reason: data.reason ?? null,
+				source: data.source ?? null,
+				timestamp: Date.now()
+			};
+
+			app.Logger.info("CodeLedger", `${code} (${game}) has expired`);
+			return true;
+		});
+	}
+
+	/**
+	 * @param {string} game
+	 * @returns {Promise<Object<string, { code: string, uids: string[]|null, timestamp: number }>>}
+	 */
+	static async getQueue (game) {
+		return await app.Cache.get(CodeLedger.getQueueCacheKey(game)) ?? {};
+	}
+
+	/**
+	 * Queues codes to be redeemed on the next code redeem run, regardless of the code sources.
+	 * Queueing a code again adds the accounts to its existing entry.
+	 * @param {string} game
+	 * @param {string[]} codes
+	 * @param {string[]|null} [uids] Accounts to redeem the codes for, all accounts of the game if null
+	 * @returns {Promise<void>}
+	 */
+	static async enqueue (game, codes, uids = null) {
+		await CodeLedger.#update(CodeLedger.getQueueCacheKey(game), (queue) => {
+			for (const code of codes.map(i => i.toUpperCase())) {
+				const existing = queue[code];
+				let targets = uids;
+				if (existing) {
+					targets = (existing.uids === null || uids === null)
+						? null
+						: [...new Set([...existing.uids, ...uids])];
+				}
+
+				queue[code] = {
+					code,
+					uids: targets,
+					timestamp: existing?.timestamp ?? Date.now()
+				};
+			}
+		});
+	}
+
+	/**
+	 * Removes queued codes.
+	 * @param {string} game
+	 * @param {string[]} codes
+	 * @returns {Promise<void>}
+	 */
+	static async dequeue (game, codes) {
+		await CodeLedger.#update(CodeLedger.getQueueCacheKey(game), (queue) => {
+			for (const code of codes) {
+				delete queue[code.toUpperCase()];
+			}
+		});
+	}
+
+	/**
+	 * Classifies the result of a redemption attempt into a ledger status.
+	 * @param {{ success: boolean, retcode?: number, transient?: boolean }} result
+	 * @returns {"redeemed"|"pending"|"failed"|"expired"}
+	 */
+	static resolveStatus (result) {
+		if (result.success || REDEEMED_RETCODES.includes(result.retcode)) {
+			return "redeemed";
+		}
+		else if (result.retcode === EXPIRED_RETCODE) {
+			return "expired";
+		}
+		else if (result.transient || TRANSIENT_RETCODES.includes(result.retcode)) {
+			return "pending";
+		}
+		// The cookie expired, the code is attempted again once the account has a working cookie
+		else if (app.AuthHealth.isExpiredRetcode(result.retcode)) {
+			return "pending";
+		}
+
+		return "failed";
+	}
+
+	/**
+	 * Applies a change to a cached object. Commands and the cron may write the same key at once,
+	 * so changes are serialized per key. The cache is only written if the object changed.
+	 * @param {string} key
+	 * @param {function(Object): *} callback Mutates the object and returns the result
+	 * @returns {Promise<*>}
+	 */
+	static async #update (key, callback) {
+		const previous = CodeLedger.#writes.get(key) ?? Promise.resolve();
+		const task = previous.catch(() => {}).then(async () => {
+			const value = await app.Cache.get(key) ?? {};
+			const before = JSON.stringify(value);
+			const result = callback(value);
+			if (JSON.stringify(value) === before) {
+				return result;
+			}
+
+			await app.Cache.set({
+				key,
+				value
+			});
+
+			return result;
+		});
+
+		CodeLedger.#writes.set(key, task);
+		try {
+			return await task;
+		}
+		finally {
+			if (CodeLedger.#writes.get(key) === task) {
+				CodeLedger.#writes.delete(key);
+			}
+		}
+	}
+};
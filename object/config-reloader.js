@@ -0,0 +1,331 @@
+const file = require("node:fs");
+const path = require("node:path");
+const { isDeepStrictEqual } = require("node:util");
+
+const RequestScheduler = require("../classes/request-scheduler.js");
+const { getSchedule, reloadCrons } = require("../crons/index.js");
+const { staminaTimers } = require("../crons/notes-poller/index.js");
+
+const DEBOUNCE_DELAY = 1000;
+
+/**
+ * Groups the active entries of a config list by id.
+ * @param {Object[]} list
+ * @returns {Map<number, Object>}
+ */
+const activeById = (list) => new Map(
+	list.filter(i => i.active).map(i => [i.id, i])
+);
+
+/**
+ * Splits two config lists into added, changed and removed entries, compared by id.
+ */
+const diff = (previous, next) => {
+	const before = activeById(previous);
+	const after = activeById(next);
+
+	return {
+		added: [...after.values()].filter(i => !before.has(i.id)),
+		changed: [...after.values()].filter(i => before.has(i.id) && !isDeepStrictEqual(before.get(i.id), i)),
+		removed: [...before.values()].filter(i => !after.has(i.id))
+	};
+};
+
+module.exports = class ConfigReloader {
+	#path;
+	#config;
+	#watcher = null;
+	#timeout = null;
+	#running = null;
+	#queued = false;
+
+	/**
+	 * @param {string} configPath Path of the watched config.json5
+	 * @param {Object} config The configuration the process is currently running with
+	 */
+	constructor (configPath, config) {
+		this.#path = path.resolve(configPath);
+		this.#config = structuredClone(config);
+	}
+
+	get config () { return this.#config; }
+
+	watch () {
+		// Editors usually save by replacing the file, which ends a watcher on the file itself
+		const directory = path.dirname(this.#path);
+		const filename = path.basename(this.#path);
+
+		this.#watcher = file.watch(directory, (event, changed) => {
+			if (changed !== filename) {
+				return;
+			}
+
+			clearTimeout(this.#timeout);
+			this.#timeout = setTimeout(() => this.reload(), DEBOUNCE_DELAY);
+		});
+
+		app.Logger.info("Config", `Watching ${filename} for changes`);
+	}
+
+	unwatch () {
+		clearTimeout(this.#timeout);
+		this.#watcher?.close();
+		this.#watcher = null;
+	}
+
+	/**
+	 * Reads the config file again and applies the differences to the running process.
+	 * Nothing is changed if the new config is invalid.
+	 * @returns {Promise<boolean>} Whether the new config was applied
+	 */
+	async reload () {
+		if (this.#running) {
+			this.#queued = true;
+			return await this.#running;
+		}
+
+		this.#running = this.#reload();
+		try {
+			return await this.#running;
+		}
+		finally {
+			this.#running = null;
+			if (this.#queued) {
+				this.#queued = false;
+				this.reload();
+			}
+		}
+	}
+
+	async #reload () {
+		let config;
+		try {
+			config = app.Config.read(this.#path);
+			app.Config.validate(config);
+			config = app.Config.expandIdentities(config);
+			getSchedule(config.crons);
+			RequestScheduler.validateLimits(config.rateLimits);
+
+			// Picks up cookies added to the vault since the start, so new `vault:` references resolve
+			if (app.CredentialStore.available) {
+				app.CredentialStore.load();
+			}
+		}
+		catch (e) {
+			app.Logger.log("Config", {
+				message: "Configuration change rejected, keeping the current configuration",
+				args: { error: e }
+			});
+
+			return false;
+		}
+
+		const previous = this.#config;
+		if (isDeepStrictEqual(previous, config)) {
+			return true;
+		}
+
+		const snapshot = structuredClone(config);
+		const accounts = diff(previous.accounts, config.accounts);
+		const platforms = diff(previous.platforms, config.platforms);
+
+		let prepared;
+		let candidates;
+		try {
+			prepared = await this.prepareAccounts(accounts);
+		}
+		catch (e) {
+			app.Logger.log("Config", {
+				message: "Account configuration change rejected, keeping the current configuration",
+				args: { error: e }
+			});
+
+			return false;
+		}
+
+		try {
+			candidates = this.preparePlatforms(platforms);
+		}
+		catch (e) {
+			for (const { instance } of prepared) {
+				app.HoyoLab.remove(instance);
+			}
+
+			app.Logger.log("Config", {
+				message: "Platform configuration change rejected, keeping the current configuration",
+				args: { error: e }
+			});
+
+			return false;
+		}
+
+		this.commitAccounts(accounts, prepared);
+
+		app.Config.load(config);
+		reloadCrons(config.crons);
+
+		const connected = await this.connectPlatforms(platforms, candidates, previous);
+		this.#config = (connected)
+			? snapshot
+			: { ...snapshot, platforms: previous.platforms };
+
+		app.Logger.info("Config", "Applied configuration changes");
+		return connected;
+	}
+
+	/**
+	 * Creates and logs in the instances for added and changed account definitions.
+	 * Changed definitions that keep the same cookies and role filters only update settings and are not logged in again.
+	 * If any definition is invalid, every prepared instance is discarded. Accounts that fail to log in
+	 * don't reject the change, their instance keeps retrying them in the background.
+	 */
+	async prepareAccounts ({ added, changed }) {
+		const HoyoLab = app.HoyoLab;
+		const snapshot = [...HoyoLab.list];
+		const prepared = [];
+
+		try {
+			for (const definition of [...added, ...changed]) {
+				const current = HoyoLab.list.find(i => i.id === definition.id && snapshot.includes(i)) ?? null;
+				const instance = HoyoLab.create(definition.type, definition);
+				if (!instance) {
+					throw new app.Error({
+						message: "Invalid account definition",
+						args: {
+							id: definition.id,
+							type: definition.type
+						}
+					});
+				}
+
+				// A changed role filter logs in again, as it changes which roles there are accounts for
+				const logins = (list) => list.data.map(i => JSON.stringify([i.cookie, i.roles])).sort();
+				const settingsOnly = current !== null
+					&& current.name === instance.name
+					&& isDeepStrictEqual(logins(current), logins(instance));
+
+				if (!settingsOnly) {
+					await instance.login();
+					await instance.restoreState();
+				}
+
+				prepared.push({ definition, current, instance, settingsOnly });
+			}
+		}
+		catch (e) {
+			for (const instance of HoyoLab.list.filter(i => !snapshot.includes(i))) {
+				HoyoLab.remove(instance);
+			}
+
+			throw e;
+		}
+
+		return prepared;
+	}
+
+	commitAccounts ({ removed }, prepared) {
+		const HoyoLab = app.HoyoLab;
+		// Pending stamina alerts would otherwise fire for accounts that no longer exist
+		const remove = (instance) => {
+			for (const account of instance.accounts) {
+				staminaTimers.clear(account);
+			}
+
+			HoyoLab.remove(instance);
+		};
+
+		for (const { current, instance, settingsOnly } of prepared) {
+			if (settingsOnly) {
+				const count = current.updateSettings(instance);
+				HoyoLab.remove(instance);
+				app.Logger.info("Config", `Updated settings of ${count} ${current.fullName} account(s)`);
+				continue;
+			}
+
+			if (current) {
+				remove(current);
+			}
+
+			app.Logger.info("Config", `Loaded ${instance.accounts.length} ${instance.fullName} account(s)`);
+		}
+
+		for (const definition of removed) {
+			const instance = HoyoLab.list.find(i => i.id === definition.id);
+			if (instance) {
+				remove(instance);
+				app.Logger.info("Config", `Removed ${instance.fullName} accounts (id ${definition.id})`);
+			}
+		}
+	}
+
+	/**
+	 * Creates the platforms for added and changed definitions without connecting them.
+	 * @returns {Platform[]}
+	 */
+	preparePlatforms ({ added, changed }) {
+		const Platform = app.Platform;
+
+		// Platform constructors register themselves, the candidates are only added once they are connected
+		const snapshot = [...Platform.list];
+		try {
+			return [...added, ...changed].map(i => Platform.create(i.type, structuredClone(i)));
+		}
+		finally {
+			Platform.list = snapshot;
+		}
+	}
+
+	/**
+	 * Replaces changed and removed platforms with the prepared ones. If any of them fails to connect,
+	 * the new platforms are destroyed and the previous ones are recreated.
+	 * @returns {Promise<boolean>}
+	 */
+	async connectPlatforms ({ changed, removed }, candidates, previous) {
+		const Platform = app.Platform;
+		const replaced = [...changed, ...removed].map(i => i.id);
+		const previousDefinitions = activeById(previous.platforms);
+
+		for (const platform of Platform.list.filter(i => replaced.includes(i.id))) {
+			Platform.remove(platform);
+		}
+
+		try {
+			for (const platform of candidates) {
+				Platform.list.push(platform);
+				await platform.connect();
+				app.Logger.info("Config", `Connected ${platform.name} platform (id ${platform.id})`);
+			}
+		}
+		catch (e) {
+			app.Logger.log("Config", {
+				message: "Failed to connect a changed platform, restoring the previous platforms",
+				args: { error: e }
+			});
+
+			for (const platform of candidates) {
+				Platform.remove(platform);
+			}
+
+			for (const id of replaced) {
+				const definition = previousDefinitions.get(id);
+				try {
+					const platform = Platform.create(definition.type, structuredClone(definition));
+					await platform.connect();
+				}
+				catch (e) {
+					app.Logger.log("Config", {
+						message: "Failed to restore the previous platform",
+						args: {
+							id,
+							error: e
+						}
+					});
+				}
+			}
+
+			return false;
+		}
+
+		return true;
+	}
+};
@@ -0,0 +1,155 @@
+const TOKEN_KEYS = ["cookie_token_v2", "account_id_v2", "cookie_token", "account_id"];
+
+/**
+ * Refreshes the `cookie_token_v2` of a HoYoLAB cookie, which code redemption depends on. A refresh
+ * runs on the schedule of the update-cookie cron and when a request is answered with an expired
+ * cookie retcode. The new cookie is verified before it replaces the old one in every account
+ * using it, and is persisted in the `CredentialStore`.
+ */
+module.exports = class CookieRefresher {
+	/** @type {Map<string, Promise<string|null>>} */
+	static #pending = new Map();
+	/** @type {Map<string, number>} */
+	static #failures = new Map();
+
+	/**
+	 * @param {string} cookie
+	 * @returns {boolean} Whether the cookie holds a token that can be refreshed
+	 */
+	static canRefresh (cookie) {
+		return CookieRefresher.#split(cookie).some(i => i.startsWith("cookie_token_v2="));
+	}
+
+	/**
+	 * Refreshes a cookie, concurrent refreshes of the same HoYoLAB user share one request.
+	 * @param {string} cookie
+	 * @param {Object} [options]
+	 * @param {boolean} [options.notify] Alert the owner of the cookie if the refresh fails
+	 * @returns {Promise<string|null>} The new cookie, null if it could not be refreshed or the token didn't change
+	 */
+	static refresh (cookie, options = {}) {
+		const user = app.AuthHealth.getUser(cookie);
+		if (!user || !CookieRefresher.canRefresh(cookie) || app.AuthHealth.isExpired(cookie)) {
+			return Promise.resolve(null);
+		}
+
+		const pending = CookieRefresher.#pending.get(user);
+		if (pending) {
+			return pending;
+		}
+
+		const task = CookieRefresher.#refresh(user, cookie, options).finally(() => CookieRefresher.#pending.delete(user));
+		CookieRefresher.#pending.set(user, task);
+
+		return task;
+	}
+
+	static async #refresh (user, cookie, options) {
+		const instance = app.HoyoLab.list.find(i => i.data.some(j => j.cookie === cookie) || i.accounts.some(j => j.cookie === cookie));
+		if (!instance) {
+			return null;
+		}
+
+		let refreshed;
+		try {
+			const res = await instance.updateCookie({ uid: user, cookie });
+			if (!res.success) {
+				throw new app.Error({
+					message: "Failed to fetch a new cookie token",
+					args: { reason: res.data.reason }
+				});
+			}
+
+			if (CookieRefresher.#split(cookie).includes(`cookie_token_v2=${res.data.token}`)) {
+				CookieRefresher.#failures.delete(user);
+				return null;
+			}
+
+			refreshed = CookieRefresher.build(cookie, res.data);
+
+			const check = await instance.updateCookie({ uid: user, cookie: refreshed });
+			if (!check.success) {
+				throw new app.Error({
+					message: "The refreshed cookie was rejected",
+					args: { reason: check.data.reason }
+				});
+			}
+		}
+		catch (e) {
+			await CookieRefresher.#fail(user, cookie, e, options);
+			return null;
+		}
+
+		CookieRefresher.#failures.delete(user);
+		CookieRefresher.apply(cookie, refreshed);
+		await app.CredentialStore.setRefreshed(cookie, refreshed);
+
+		app.Logger.info("CookieRefresher", `Refreshed the cookie token of HoYoLAB user ${user}`);
+		return refreshed;
+	}
+
+	/**
+	 * Replaces the token keys of a cookie, including the v1 keys older versions appended.
+	 * @param {string} cookie
+	 * @param {{ accountId: string, token: string }} data
+	 * @returns {string}
+	 */
+	static build (cookie, { accountId, token }) {
+		const parts = CookieRefresher.#split(cookie).filter(i => !TOKEN_KEYS.includes(i.split("=")[0]));
+		return [...parts, `cookie_token_v2=${token}`, `account_id_v2=${accountId}`].join("; ");
+	}
+
+	/**
+	 * Replaces a cookie in every configured and logged in account of every game.
+	 * @param {string} previous
+	 * @param {string} cookie
+	 */
+	static apply (previous, cookie) {
+		for (const instance of app.HoyoLab.list) {
+			for (const entry of instance.data.filter(i => i.cookie === previous)) {
+				entry.cookie = cookie;
+			}
+
+			for (const account of instance.accounts.filter(i => i.cookie === previous)) {
+				account.cookie = cookie;
+				instance.update(account);
+			}
+		}
+	}
+
+	static async #fail (user, cookie, error, options) {
+		const failures = (CookieRefresher.#failures.get(user) ?? 0) + 1;
+		CookieRefresher.#failures.set(user, failures);
+		app.Logger.warn("CookieRefresher", `Failed to refresh the cookie token of HoYoLAB user ${user} (${failures} in a row): ${error.message}`);
+
+		// Only the first failure in a row is reported, until a refresh succeeds again
+		if (!options.notify || failures !== 1 || !app.Platform) {
+			return;
+		}
+
+		const owner = app.AuthHealth.findOwner(user, app.AuthHealth.getFingerprint(cookie));
+		const reason = error.args?.reason ?? error.message;
+		await app.Platform.notify("cookie-refresh", {
+			title: "Cookie Refresh Failed",
+			description: "Your HoYoLAB cookie token could not be refreshed, redeeming codes may stop working. "
+				+ "It is retried on the next refresh, if it keeps failing please replace the cookie in your config.",
+			mention: owner?.account ?? null,
+			severity: "warning",
+			fields: [
+				{ name: "HoYoLAB UID", value: user },
+				{ name: "Accounts", value: owner?.games.join(", ") ?? "None" },
+				{ name: "Reason", value: reason }
+			],
+			data: {
+				ltuid: user,
+				reason
+			}
+		});
+	}
+
+	static #split (cookie) {
+		return String(cookie).split(";")
+			.map(i => i.trim())
+			.filter(Boolean);
+	}
+};
@@ -0,0 +1,208 @@
+const file = require("node:fs");
+
+const Vault = require("./vault.js");
+
+const STORE_PATH = "./data/credentials.json";
+const REFERENCE_PREFIX = "vault:";
+
+/**
+ * Keeps cookies in a `Vault` in the data directory instead of plaintext in config.json5.
+ * - Named cookies are added with `npm run vault` and referenced from the account config as `vault:<name>`.
+ * - Cookies refreshed at runtime are kept per HoYoLAB user, so they survive a restart. A refreshed
+ * cookie replaces the configured one only as long as the configured cookie is the one it was
+ * refreshed from: once you supply a new cookie, it is used again.
+ *
+ * Without a master key, vault references can't be used and refreshed cookies are only kept in memory.
+ */
+module.exports = class CredentialStore {
+	/** @type {Vault|null} */
+	static #vault = null;
+	/** @type {Map<string, { cookie: string, updatedAt: number }>} */
+	static #cookies = new Map();
+	/** @type {Map<string, { cookie: string, source: string, updatedAt: number }>} */
+	static #refreshed = new Map();
+	static #write = Promise.resolve();
+	static #warned = false;
+
+	static get available () { return CredentialStore.#vault !== null; }
+
+	/**
+	 * Reads the stored cookies, synchronously as the accounts are created from the config right after.
+	 * @param {string} [storePath]
+	 */
+	static load (storePath = STORE_PATH) {
+		const masterKey = Vault.getMasterKey();
+		const vault = (masterKey) ? new Vault(storePath, masterKey) : null;
+
+		CredentialStore.#vault = vault;
+		CredentialStore.#cookies = new Map();
+		CredentialStore.#refreshed = new Map();
+
+		if (!vault) {
+			if (file.existsSync(storePath)) {
+				throw new app.Error({
+					message: "The credential vault is encrypted, set HOYOLAB_VAULT_KEY or HOYOLAB_VAULT_KEY_FILE to unlock it.",
+					args: { path: storePath }
+				});
+			}
+
+			return;
+		}
+
+		const content = vault.read() ?? {};
+		CredentialStore.#cookies = new Map(Object.entries(content.cookies ?? {}));
+		CredentialStore.#refreshed = new Map(Object.entries(content.refreshed ?? {}));
+	}
+
+	/**
+	 * @param {string} value Cookie from the config, either a cookie or a `vault:<name>` reference
+	 * @returns {string} The cookie
+	 */
+	static dereference (value) {
+		if (typeof value !== "string" || !value.startsWith(REFERENCE_PREFIX)) {
+			return value;
+		}
+
+		const name = value.slice(REFERENCE_PREFIX.length);
+		if (!CredentialStore.#vault) {
+			throw new app.Error({
+				message: "A vault cookie is referenced, but no master key is set. Set HOYOLAB_VAULT_KEY or HOYOLAB_VAULT_KEY_FILE.",
+				args: { name }
+			});
+		}
+
+		const entry = CredentialStore.#cookies.get(name);
+		if (!entry) {
+			throw new app.Error({
+				message: `No cookie named "${name}" found in the vault, add it with: npm run vault -- add ${name}`,
+				args: { name }
+			});
+		}
+
+		return entry.cookie;
+	}
+
+	/**
+	 * @param {string} cookie Configured cookie
+	 * @returns {string} The refreshed cookie if one is stored for it, otherwise the configured cookie
+	 */
+	static resolve (cookie) {
+		const entry = CredentialStore.#refreshed.get(app.AuthHealth.getUser(cookie));
+		if (entry && entry.source === app.AuthHealth.getFingerprint(cookie)) {
+			return entry.cookie;
+		}
+
+		return cookie;
+	}
+
+	/**
+	 * @returns {{ name: string, updatedAt: number }[]}
+	 */
+	static list () {
+		return [...CredentialStore.#cookies].map(([name, entry]) => ({ name, updatedAt: entry.updatedAt }));
+	}
+
+	static has (name) {
+		return CredentialStore.#cookies.has(name);
+	}
+
+	/**
+	 * Adds a named cookie or replaces it.
+	 * @param {string} name
+	 * @param {string} cookie
+	 * @returns {Promise<void>}
+	 */
+	static async setCookie (name, cookie) {
+		const entry = {
+			cookie,
+			updatedAt: Date.now()
+		};
+
+		CredentialStore.#cookies.set(name, entry);
+		await CredentialStore.#update((content) => {
+			content.cookies[name] = entry;
+		});
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {Promise<boolean>} Whether the cookie existed
+	 */
+	static async removeCookie (name) {
+		CredentialStore.#cookies.delete(name);
+		return await CredentialStore.#update((content) => {
+			const removed = Object.hasOwn(content.cookies, name);
+			delete content.cookies[name];
+
+			return removed;
+		});
+	}
+
+	/**
+	 * Stores a refreshed cookie.
+	 * @param {string} previous Cookie that was refreshed
+	 * @param {string} cookie
+	 * @returns {Promise<void>}
+	 */
+	static async setRefreshed (previous, cookie) {
+		const user = app.AuthHealth.getUser(previous);
+		const existing = CredentialStore.#refreshed.get(user);
+
+		// Successive refreshes keep pointing to the configured cookie the first one started from
+		const source = (existing?.cookie === previous)
+			? existing.source
+			: app.AuthHealth.getFingerprint(previous);
+
+		const entry = {
+			cookie,
+			source,
+			updatedAt: Date.now()
+		};
+
+		CredentialStore.#refreshed.set(user, entry);
+
+		if (!CredentialStore.#vault) {
+			if (!CredentialStore.#warned) {
+				CredentialStore.#warned = true;
+				app.Logger.warn("CredentialStore", "Refreshed cookies are only kept until a restart, set HOYOLAB_VAULT_KEY or HOYOLAB_VAULT_KEY_FILE to persist them");
+			}
+
+			return;
+		}
+
+		await CredentialStore.#update((content) => {
+			content.refreshed[user] = entry;
+		});
+	}
+
+	/**
+	 * Applies a change to the stored content. The vault is read again first, as `npm run vault`
+	 * may have changed it since it was loaded, and only the changed entry is written back.
+	 * @param {function(Object): *} callback Mutates the content and returns the result
+	 * @returns {Promise<*>}
+	 */
+	static async #update (callback) {
+		const vault = CredentialStore.#vault;
+		if (!vault) {
+			throw new app.Error({
+				message: "No master key set for the vault. Set HOYOLAB_VAULT_KEY or HOYOLAB_VAULT_KEY_FILE."
+			});
+		}
+
+		const task = CredentialStore.#write.catch(() => {}).then(async () => {
+			const stored = vault.read() ?? {};
+			const content = {
+				cookies: stored.cookies ?? {},
+				refreshed: stored.refreshed ?? {}
+			};
+
+			const result = callback(content);
+			await vault.write(content);
+
+			return result;
+		});
+
+		CredentialStore.#write = task;
+		return await task;
+	}
+};
@@ -1,3 +1,5 @@
+const { redact, redactText } = require("../singleton/utils.js");
+
 class Error extends globalThis.Error {
 	#args;
 	#timestamp;
@@ -15,8 +17,9 @@ class Error extends globalThis.Error {
 		const { cause, message } = obj;
 		super(message, { cause });
 
+		// Args are logged and sent in error reports, cookies must not end up in them
 		if (obj.args) {
-			this.#args = Object.freeze(obj.args);
+			this.#args = Object.freeze(redact(obj.args));
 		}
 
 		this.name = obj.name ?? "Error";
@@ -45,7 +48,7 @@ class Error extends globalThis.Error {
 					parts.push(tabbedCauseMessage);
 				}
 
-				return parts.join("\n");
+				return redactText(parts.join("\n"));
 			}
 		});
 	}
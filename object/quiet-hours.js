@@ -0,0 +1,103 @@
+const TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Daily time window in which notifications are held back, configured per account or per platform.
+ * The window is evaluated in the timezone of the account a notification is about.
+ */
+module.exports = class QuietHours {
+	#start;
+	#end;
+	#mode;
+	#timezone;
+
+	static modes = ["defer", "suppress"];
+
+	/**
+	 * @param {Object} config
+	 * @param {string} config.start Start of the window, e.g. "23:00"
+	 * @param {string} config.end End of the window, e.g. "07:30"
+	 * @param {"defer"|"suppress"} [config.mode] Deferred notifications are summarized once the window ends,
+	 * suppressed ones are dropped
+	 * @param {string|number} [config.timezone] Region (e.g. "EU") or offset in minutes used for notifications
+	 * that are not about an account, defaults to the local time of the machine
+	 */
+	constructor (config) {
+		this.#start = QuietHours.parseTime(config?.start);
+		this.#end = QuietHours.parseTime(config?.end);
+		if (this.#start === null || this.#end === null || this.#start === this.#end) {
+			throw new app.Error({
+				message: "Invalid quiet hours provided, expected different start and end times formatted as HH:MM.",
+				args: {
+					start: config?.start,
+					end: config?.end
+				}
+			});
+		}
+
+		this.#mode = config.mode ?? "defer";
+		if (!QuietHours.modes.includes(this.#mode)) {
+			throw new app.Error({
+				message: "Invalid quiet hours mode provided.",
+				args: {
+					mode: this.#mode,
+					supportedModes: QuietHours.modes
+				}
+			});
+		}
+
+		this.#timezone = config.timezone ?? null;
+	}
+
+	get mode () { return this.#mode; }
+	get timezone () { return this.#timezone; }
+
+	/**
+	 * A timezone that is not a known region, e.g. "Unknown" for an unrecognized server, falls back
+	 * to the configured timezone and then to UTC.
+	 * @param {string|number|null} [timezone] Region or offset in minutes, e.g. the `timezone` of an account
+	 * @param {Date} [date]
+	 * @returns {boolean}
+	 */
+	isActive (timezone = null, date = new Date()) {
+		const now = new app.Date(date);
+		const candidates = [timezone, this.#timezone].filter(i => i !== null && i !== undefined);
+		if (candidates.length !== 0) {
+			const offset = [...candidates, 0].find(i => QuietHours.isTimezone(i));
+			now.setTimezoneOffset(offset);
+		}
+
+		const minutes = (now.hours * 60) + now.getMinutes();
+		if (this.#start < this.#end) {
+			return minutes >= this.#start && minutes < this.#end;
+		}
+
+		// The window spans midnight
+		return minutes >= this.#start || minutes < this.#end;
+	}
+
+	/**
+	 * @param {string|number} timezone
+	 * @returns {boolean} Whether the timezone is a region of `app.Date` or an offset in minutes
+	 */
+	static isTimezone (timezone) {
+		if (typeof timezone === "string") {
+			return Object.hasOwn(app.Date.REGION_OFFSETS, timezone.toUpperCase());
+		}
+
+		const offset = Number(timezone);
+		return !Number.isNaN(offset) && offset % 15 === 0;
+	}
+
+	/**
+	 * @param {string} time
+	 * @returns {number|null} Minutes since midnight
+	 */
+	static parseTime (time) {
+		const match = String(time).match(TIME_REGEX);
+		if (!match) {
+			return null;
+		}
+
+		return (Number(match[1]) * 60) + Number(match[2]);
+	}
+};
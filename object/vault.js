@@ -0,0 +1,134 @@
+const crypto = require("node:crypto");
+const file = require("node:fs");
+const path = require("node:path");
+
+const VAULT_VERSION = 1;
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+/**
+ * JSON document encrypted with AES-256-GCM. The encryption key is derived from a master key
+ * with scrypt, the master key is read from the `HOYOLAB_VAULT_KEY` environment variable or
+ * from the file `HOYOLAB_VAULT_KEY_FILE` points to, e.g. a Docker secret.
+ */
+module.exports = class Vault {
+	#path;
+	#masterKey;
+
+	/**
+	 * @param {string} vaultPath
+	 * @param {string} masterKey
+	 */
+	constructor (vaultPath, masterKey) {
+		if (typeof masterKey !== "string" || masterKey.length === 0) {
+			throw new app.Error({
+				message: "No master key provided for the vault. Set HOYOLAB_VAULT_KEY or HOYOLAB_VAULT_KEY_FILE."
+			});
+		}
+
+		this.#path = vaultPath;
+		this.#masterKey = masterKey;
+	}
+
+	get path () { return this.#path; }
+
+	get exists () { return file.existsSync(this.#path); }
+
+	/**
+	 * @returns {Object|null} Decrypted content, null if the vault doesn't exist yet
+	 */
+	read () {
+		if (!this.exists) {
+			return null;
+		}
+
+		const stored = JSON.parse(file.readFileSync(this.#path, "utf8"));
+		if (stored.version !== VAULT_VERSION) {
+			throw new app.Error({
+				message: "Unsupported vault version",
+				args: {
+					path: this.#path,
+					version: stored.version
+				}
+			});
+		}
+
+		try {
+			const key = this.#deriveKey(Buffer.from(stored.salt, "base64"));
+			const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(stored.iv, "base64"));
+			decipher.setAuthTag(Buffer.from(stored.tag, "base64"));
+
+			const data = Buffer.concat([
+				decipher.update(Buffer.from(stored.data, "base64")),
+				decipher.final()
+			]);
+
+			return JSON.parse(data.toString("utf8"));
+		}
+		catch (e) {
+			throw new app.Error({
+				message: "Failed to decrypt the vault, the master key is wrong or the vault is damaged",
+				args: { path: this.#path },
+				cause: e
+			});
+		}
+	}
+
+	/**
+	 * Encrypts and writes the content, replacing the vault in one step so it is never left half written.
+	 * @param {Object} content
+	 * @returns {Promise<void>}
+	 */
+	async write (content) {
+		const salt = crypto.randomBytes(SALT_LENGTH);
+		const iv = crypto.randomBytes(IV_LENGTH);
+		const cipher = crypto.createCipheriv("aes-256-gcm", this.#deriveKey(salt), iv);
+
+		const data = Buffer.concat([
+			cipher.update(JSON.stringify(content), "utf8"),
+			cipher.final()
+		]);
+
+		const stored = {
+			version: VAULT_VERSION,
+			salt: salt.toString("base64"),
+			iv: iv.toString("base64"),
+			tag: cipher.getAuthTag().toString("base64"),
+			data: data.toString("base64")
+		};
+
+		const temporary = `${this.#path}.tmp`;
+		await file.promises.mkdir(path.dirname(this.#path), { recursive: true });
+		await file.promises.writeFile(temporary, JSON.stringify(stored), { mode: 0o600 });
+		await file.promises.rename(temporary, this.#path);
+	}
+
+	#deriveKey (salt) {
+		return crypto.scryptSync(this.#masterKey, salt, KEY_LENGTH);
+	}
+
+	/**
+	 * @param {NodeJS.ProcessEnv} [env]
+	 * @returns {string|null}
+	 */
+	static getMasterKey (env = process.env) {
+		if (env.HOYOLAB_VAULT_KEY) {
+			return env.HOYOLAB_VAULT_KEY;
+		}
+		else if (env.HOYOLAB_VAULT_KEY_FILE) {
+			try {
+				return file.readFileSync(env.HOYOLAB_VAULT_KEY_FILE, "utf8").trim();
+			}
+			catch (e) {
+				throw new app.Error({
+					message: "Failed to read the vault master key file",
+					args: { path: env.HOYOLAB_VAULT_KEY_FILE },
+					cause: e
+				});
+			}
+		}
+
+		return null;
+	}
+};
@@ -8,6 +8,8 @@ const {
 	Routes
 } = require("discord.js");
 
+const Webhook = require("./webhook.js");
+
 const ignoredChannels = [
 	ChannelType.AnnouncementThread,
 	ChannelType.GuildAnnouncement,
@@ -17,9 +19,15 @@ const ignoredChannels = [
 ];
 
 module.exports = class DiscordController extends require("./template.js") {
+	#admins;
+	#adminRoles;
+
 	constructor (config) {
 		super("discord", config);
 
+		this.#admins = (config.admins ?? []).map(String);
+		this.#adminRoles = (config.adminRoles ?? []).map(String);
+
 		if (!this.botId) {
 			throw new app.Error({
 				message: "No bot ID provided for Discord controller"
@@ -88,13 +96,17 @@ module.exports = class DiscordController extends require("./template.js") {
 					command,
 					args,
 					channelData: messageData.channel,
-					userData: author
+					userData: messageData.member ?? author
 				});
 			}
 		});
 
 		client.on("interactionCreate", async (interaction) => {
-			if (!interaction.isChatInputCommand()) {
+			if (interaction.isAutocomplete()) {
+				await this.handleAutocomplete(interaction);
+				return;
+			}
+			else if (!interaction.isChatInputCommand()) {
 				return;
 			}
 
@@ -104,7 +116,7 @@ module.exports = class DiscordController extends require("./template.js") {
 			const args = options.data.map(i => i.value);
 
 			const channelData = interaction.channel;
-			const userData = interaction.user;
+			const userData = interaction.member ?? interaction.user;
 
 			await this.handleCommand({
 				interaction,
@@ -127,6 +139,10 @@ module.exports = class DiscordController extends require("./template.js") {
 			sendTarget = {
 				embeds: options.embeds
 			};
+
+			if (typeof message === "string") {
+				sendTarget.content = message;
+			}
 		}
 		else if (typeof message === "string") {
 			sendTarget = message;
@@ -170,6 +186,111 @@ module.exports = class DiscordController extends require("./template.js") {
 		}
 	}
 
+	subscribes (type) {
+		if (!this.channelId) {
+			return false;
+		}
+
+		return super.subscribes(type);
+	}
+
+	async notify (notification, options = {}) {
+		const embed = this.prepareMessage(notification, options);
+		const mention = this.createUserMention(notification.mention?.discord);
+
+		await this.send(mention, { id: this.channelId }, {
+			embeds: [embed]
+		});
+	}
+
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+		return Webhook.createEmbed(notification);
+	}
+
+	createUserMention (userData) {
+		const userIds = [userData?.userId].flat().filter(Boolean);
+		if (userIds.length === 0) {
+			return null;
+		}
+
+		return userIds.map(i => `<@${String(i)}>`).join(" ");
+	}
+
+	/**
+	 * Admins are listed in `admins` by user ID, have one of the `adminRoles`
+	 * or have the Administrator permission in the guild the command was used in.
+	 * @param {GuildMember|User} userData
+	 */
+	isAdmin (userData) {
+		if (this.#admins.includes(String(userData?.id))) {
+			return true;
+		}
+
+		const roles = userData?.roles?.cache;
+		if (roles && this.#adminRoles.some(i => roles.has(i))) {
+			return true;
+		}
+
+		return Boolean(userData?.permissions?.has?.(PermissionFlagsBits.Administrator));
+	}
+
+	/**
+	 * Non-admin users can only access accounts that list them in `discord.userId`
+	 * or one of their roles in `discord.roles`.
+	 * @param {Object} account
+	 * @param {GuildMember|User} userData
+	 */
+	canAccess (account, userData) {
+		if (this.isAdmin(userData)) {
+			return true;
+		}
+
+		const owners = [account.discord?.userId].flat().filter(Boolean).map(String);
+		if (owners.includes(String(userData?.id))) {
+			return true;
+		}
+
+		const roles = userData?.roles?.cache;
+		const ownerRoles = (account.discord?.roles ?? []).map(String);
+		return Boolean(roles) && ownerRoles.some(i => roles.has(i));
+	}
+
+	async handleAutocomplete (interaction) {
+		const focused = interaction.options.getFocused(true);
+		const command = app.Command.get(interaction.commandName);
+		const param = command?.params?.find(i => i.name === focused.name);
+		if (!param?.accounts) {
+			await interaction.respond([]);
+			return;
+		}
+
+		const game = interaction.options.getString("game");
+		const choices = app.Command.getAccountChoices({
+			game: (game) ? app.Command.normalizeGame(game) : undefined,
+			platform: this,
+			user: interaction.member ?? interaction.user
+		});
+
+		// Parameters accepting several accounts are typed as a comma separated list, only the last entry is completed
+		const parts = String(focused.value).split(",");
+		const selected = (param.multiple) ? parts.slice(0, -1).map(i => i.trim()) : [];
+		const search = String((param.multiple) ? parts.at(-1) : focused.value).trim()
+			.toLowerCase();
+
+		// Discord accepts at most 25 autocomplete choices
+		const filtered = choices
+			.filter(i => !selected.includes(i.value))
+			.filter(i => i.name.toLowerCase().includes(search))
+			.slice(0, 25)
+			.map(i => ({
+				name: (selected.length === 0) ? i.name : `${selected.join(", ")}, ${i.name}`.slice(-100),
+				value: [...selected, i.value].join(",")
+			}));
+
+		await interaction.respond(filtered);
+	}
+
 	async handleCommand (data) {
 		const {
 			interaction,
@@ -181,10 +302,7 @@ module.exports = class DiscordController extends require("./template.js") {
 
 		const execution = await app.Command.checkAndRun(command, args, channelData, userData, {
 			interaction,
-			platform: {
-				id: 1,
-				name: "Discord"
-			}
+			platform: this
 		});
 
 		if (!execution) {
@@ -193,6 +311,17 @@ module.exports = class DiscordController extends require("./template.js") {
 
 		const { reply }	= execution;
 		const embeds = execution.discord?.embeds ?? [];
+		if (interaction && !interaction.replied && !interaction.deferred) {
+			// Every interaction has to be answered, discord.js rejects a reply without content and embeds
+			await interaction.reply({
+				content: reply || ((embeds.length === 0) ? "Done." : undefined),
+				embeds,
+				ephemeral: true
+			});
+
+			return;
+		}
+
 		if (!reply && embeds.length === 0) {
 			return;
 		}
@@ -207,6 +336,11 @@ module.exports = class DiscordController extends require("./template.js") {
 		}
 	}
 
+	destroy () {
+		this.client?.destroy();
+		this.client = null;
+	}
+
 	async registerSlashCommands () {
 		const commands = [];
 
@@ -0,0 +1,288 @@
+const { CronJob } = require("cron");
+const nodemailer = require("nodemailer");
+
+const escapeHTML = (string) => String(string)
+	.replaceAll("&", "&amp;")
+	.replaceAll("<", "&lt;")
+	.replaceAll(">", "&gt;")
+	.replaceAll("\"", "&quot;")
+	.replaceAll("'", "&#39;");
+
+const toHexColor = (color) => (typeof color === "number")
+	? `#${color.toString(16).padStart(6, "0")}`
+	: "#5865F2";
+
+module.exports = class Email extends require("./template.js") {
+	#from;
+	#to;
+	#smtp;
+	#digest;
+	#transport;
+	#job = null;
+	#write = Promise.resolve();
+
+	static DIGEST_CACHE_KEY = "email-digest";
+
+	constructor (config) {
+		super("email", config);
+
+		this.#smtp = config.smtp ?? null;
+		if (!this.#smtp || !this.#smtp.host) {
+			throw new app.Error({
+				message: "No SMTP host provided for Email Platform"
+			});
+		}
+
+		this.#from = config.from ?? null;
+		if (!this.#from) {
+			throw new app.Error({
+				message: "No sender address provided for Email Platform"
+			});
+		}
+
+		const to = config.to ?? [];
+		this.#to = (Array.isArray(to)) ? to : [to];
+
+		const digest = config.digest ?? {};
+		this.#digest = {
+			enabled: digest.enabled ?? false,
+			expression: digest.expression ?? "0 0 21 * * *"
+		};
+
+		this.#transport = nodemailer.createTransport(this.#smtp);
+	}
+
+	get from () { return this.#from; }
+	get to () { return this.#to; }
+	get digest () { return this.#digest; }
+	get digestKey () { return `${Email.DIGEST_CACHE_KEY}-${this.id}`; }
+
+	async connect () {
+		if (!this.#digest.enabled) {
+			return;
+		}
+
+		this.#job = new CronJob(this.#digest.expression, () => this.sendDigest());
+		this.#job.start();
+
+		app.Logger.info("Email", `Digest mode enabled (${this.#digest.expression})`);
+	}
+
+	/**
+	 * Resolves who receives a notification: the owner of the account if they have
+	 * an email address configured, otherwise the platform's default recipients.
+	 * @param {Object} notification Result of `Platform#prepareMessage`
+	 * @returns {string[]}
+	 */
+	getRecipients (notification) {
+		const email = notification.account?.email;
+		if (email) {
+			return (Array.isArray(email)) ? email : [email];
+		}
+
+		return this.#to;
+	}
+
+	async notify (notification, options = {}) {
+		const prepared = super.prepareMessage(notification, options);
+		const recipients = this.getRecipients(prepared);
+		if (recipients.length === 0) {
+			return;
+		}
+
+		if (this.#digest.enabled && prepared.severity !== "critical") {
+			await this.queue(prepared, recipients);
+			return;
+		}
+
+		const message = this.prepareMessage(notification, options);
+		await this.send(message, { to: recipients });
+	}
+
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+		return {
+			subject: `[HoyoLab] ${notification.title}`,
+			html: Email.renderDocument(notification.title, [Email.renderNotification(notification)]),
+			text: Email.renderText(notification)
+		};
+	}
+
+	async send (message, options = {}) {
+		if (typeof message !== "object") {
+			throw new app.Error({
+				message: "Provided message is not an object",
+				args: {
+					message: {
+						type: typeof message,
+						constructor: message?.constructor?.name ?? "N/A"
+					}
+				}
+			});
+		}
+
+		const to = options.to ?? this.#to;
+		try {
+			await this.#transport.sendMail({
+				from: this.#from,
+				to,
+				subject: message.subject,
+				html: message.html,
+				text: message.text
+			});
+		}
+		catch (e) {
+			throw new app.Error({
+				message: "Failed to send email",
+				args: {
+					to,
+					subject: message.subject
+				},
+				cause: e
+			});
+		}
+
+		return true;
+	}
+
+	/**
+	 * Stores a notification until the next digest is sent.
+	 * The queue lives in the cache so a restart does not drop the day's notifications.
+	 * @param {Object} notification Result of `Platform#prepareMessage`
+	 * @param {string[]} recipients
+	 */
+	async queue (notification, recipients) {
+		const entry = {
+			type: notification.type,
+			title: notification.title,
+			description: notification.description,
+			fields: notification.fields,
+			game: notification.game,
+			color: notification.color,
+			severity: notification.severity,
+			timestamp: new Date(notification.timestamp).toISOString()
+		};
+
+		await this.#updateQueue((queued) => {
+			for (const recipient of recipients) {
+				queued[recipient] ??= [];
+				queued[recipient].push(entry);
+			}
+		});
+	}
+
+	async sendDigest () {
+		const queued = await app.Cache.get(this.digestKey) ?? {};
+		const recipients = Object.keys(queued);
+		if (recipients.length === 0) {
+			app.Logger.debug("Email", "No notifications queued for the digest");
+			return;
+		}
+
+		const date = new Date().toISOString().slice(0, 10);
+		const sent = new Map();
+		for (const recipient of recipients) {
+			const entries = queued[recipient];
+			const sections = entries.map(i => Email.renderNotification(i));
+			const message = {
+				subject: `[HoyoLab] Daily summary (${date}) - ${entries.length} notification(s)`,
+				html: Email.renderDocument(`Daily summary (${date})`, sections),
+				text: entries.map(i => Email.renderText(i)).join("\n\n")
+			};
+
+			try {
+				await this.send(message, { to: recipient });
+				sent.set(recipient, entries.length);
+			}
+			catch (e) {
+				app.Logger.log("Email", {
+					message: "Failed to send digest, it will be retried with the next digest",
+					args: {
+						recipient,
+						error: e
+					}
+				});
+			}
+		}
+
+		// Notifications queued while the digest was being sent are appended after the sent ones and stay queued
+		await this.#updateQueue((queued) => {
+			for (const [recipient, count] of sent) {
+				const rest = (queued[recipient] ?? []).slice(count);
+				if (rest.length === 0) {
+					delete queued[recipient];
+				}
+				else {
+					queued[recipient] = rest;
+				}
+			}
+		});
+	}
+
+	/**
+	 * Changes the queued notifications, serialized so concurrent changes don't overwrite each other.
+	 * @param {function(Object): void} callback Mutates the queue
+	 * @returns {Promise<void>}
+	 */
+	async #updateQueue (callback) {
+		const task = this.#write.catch(() => {}).then(async () => {
+			const queued = await app.Cache.get(this.digestKey) ?? {};
+			callback(queued);
+
+			await app.Cache.set({
+				key: this.digestKey,
+				value: queued
+			});
+		});
+
+		this.#write = task;
+		await task;
+	}
+
+	createUserMention () {
+		return null;
+	}
+
+	destroy () {
+		this.#job?.stop();
+		this.#transport.close();
+	}
+
+	static renderNotification (notification) {
+		const rows = notification.fields.map(i => `<tr><td style="padding:2px 12px 2px 0;color:#555">${escapeHTML(i.name)}</td><td style="padding:2px 0">${escapeHTML(i.value)}</td></tr>`);
+		const game = (notification.game) ? `<div style="color:#777;font-size:12px">${escapeHTML(notification.game)}</div>` : "";
+		const description = (notification.description) ? `<p style="margin:6px 0">${escapeHTML(notification.description)}</p>` : "";
+
+		return [
+			`<div style="border-left:4px solid ${toHexColor(notification.color)};padding:8px 12px;margin:12px 0">`,
+			`<h3 style="margin:0">${escapeHTML(notification.title)}</h3>`,
+			game,
+			description,
+			(rows.length !== 0) ? `<table style="border-collapse:collapse;font-size:14px">${rows.join("")}</table>` : "",
+			"</div>"
+		].join("");
+	}
+
+	static renderDocument (title, sections) {
+		return [
+			"<!DOCTYPE html>",
+			"<html><body style=\"font-family:Arial,sans-serif;color:#222\">",
+			`<h2>${escapeHTML(title)}</h2>`,
+			...sections,
+			"<p style=\"color:#999;font-size:12px\">Sent by HoyoLab Auto</p>",
+			"</body></html>"
+		].join("\n");
+	}
+
+	static renderText (notification) {
+		const lines = [notification.title];
+		if (notification.description) {
+			lines.push(notification.description);
+		}
+		for (const field of notification.fields) {
+			lines.push(`${field.name}: ${field.value}`);
+		}
+
+		return lines.join("\n");
+	}
+};
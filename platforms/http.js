@@ -0,0 +1,173 @@
+const crypto = require("node:crypto");
+const { setTimeout } = require("node:timers/promises");
+
+const DEFAULT_RETRY = {
+	limit: 3,
+	delay: 1000
+};
+
+module.exports = class HTTP extends require("./template.js") {
+	#headers;
+	#secret;
+	#retry;
+
+	constructor (config) {
+		super("http", config);
+
+		if (!this.url) {
+			throw new app.Error({
+				message: "No URL provided for HTTP Platform"
+			});
+		}
+
+		try {
+			const { protocol } = new URL(this.url);
+			if (protocol !== "http:" && protocol !== "https:") {
+				throw new TypeError(`Unsupported protocol ${protocol}`);
+			}
+		}
+		catch (e) {
+			throw new app.Error({
+				message: "Invalid URL provided for HTTP Platform.",
+				args: {
+					url: this.url
+				},
+				cause: e
+			});
+		}
+
+		this.#headers = config.headers ?? {};
+		if (typeof this.#headers !== "object" || Array.isArray(this.#headers)) {
+			throw new app.Error({
+				message: "Invalid headers provided for HTTP Platform, expected an object.",
+				args: {
+					headers: this.#headers
+				}
+			});
+		}
+
+		this.#secret = config.secret ?? null;
+		this.#retry = {
+			...DEFAULT_RETRY,
+			...config.retry
+		};
+	}
+
+	connect () {}
+
+	async notify (notification, options = {}) {
+		const payload = this.prepareMessage(notification, options);
+		await this.send(payload);
+	}
+
+	/**
+	 * Renders a notification into the documented JSON payload (see setup/HTTP_WEBHOOK.md).
+	 */
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+		const { account } = notification;
+
+		return {
+			event: notification.type,
+			timestamp: new Date(notification.timestamp).toISOString(),
+			severity: notification.severity,
+			game: notification.game,
+			account: (account)
+				? {
+					uid: account.uid,
+					nickname: account.nickname,
+					region: account.region,
+					game: account.platform
+				}
+				: null,
+			title: notification.title,
+			description: notification.description,
+			fields: notification.fields.map(i => ({ name: i.name, value: i.value })),
+			data: notification.data ?? Object.fromEntries(notification.fields.map(i => [i.name, i.value]))
+		};
+	}
+
+	async send (message) {
+		if (typeof message !== "object") {
+			throw new app.Error({
+				message: "Provided message is not an object",
+				args: {
+					message: {
+						type: typeof message,
+						constructor: message?.constructor?.name ?? "N/A"
+					}
+				}
+			});
+		}
+
+		const body = JSON.stringify(message);
+		const headers = {
+			"Content-Type": "application/json",
+			...this.#headers
+		};
+
+		if (this.#secret) {
+			const timestamp = String(Math.floor(Date.now() / 1000));
+			headers["X-HoyoLab-Timestamp"] = timestamp;
+			headers["X-HoyoLab-Signature"] = `sha256=${HTTP.sign(this.#secret, timestamp, body)}`;
+		}
+
+		for (let attempt = 0; ; attempt++) {
+			let res;
+			let error;
+			try {
+				res = await app.Got("API", {
+					url: this.url,
+					method: "POST",
+					responseType: "text",
+					throwHttpErrors: false,
+					headers,
+					body
+				});
+			}
+			catch (e) {
+				error = e;
+			}
+
+			if (res && res.statusCode >= 200 && res.statusCode < 300) {
+				return true;
+			}
+
+			const retryable = Boolean(error) || res.statusCode === 429 || res.statusCode >= 500;
+			if (!retryable || attempt >= this.#retry.limit) {
+				throw new app.Error({
+					message: "Failed to send HTTP notification",
+					args: {
+						url: this.url,
+						attempts: attempt + 1,
+						statusCode: res?.statusCode ?? null,
+						statusMessage: res?.statusMessage ?? null
+					},
+					cause: error
+				});
+			}
+
+			const delay = this.#retry.delay * (2 ** attempt);
+			app.Logger.debug("HTTP", `Notification delivery failed, retrying in ${delay}ms (${attempt + 1}/${this.#retry.limit})`);
+			await setTimeout(delay);
+		}
+	}
+
+	createUserMention () {
+		return null;
+	}
+
+	/**
+	 * Computes the hex encoded HMAC-SHA256 signature of `${timestamp}.${body}`.
+	 * @param {string} secret
+	 * @param {string} timestamp Unix timestamp in seconds
+	 * @param {string} body Raw request body
+	 * @returns {string}
+	 */
+	static sign (secret, timestamp, body) {
+		return crypto
+			.createHmac("sha256", secret)
+			.update(`${timestamp}.${body}`)
+			.digest("hex");
+	}
+};
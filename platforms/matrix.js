@@ -0,0 +1,261 @@
+const { setTimeout } = require("node:timers/promises");
+
+const SYNC_TIMEOUT = 30000;
+const RETRY_DELAY = 5000;
+
+const escapeHTML = (string) => String(string)
+	.replaceAll("&", "&amp;")
+	.replaceAll("<", "&lt;")
+	.replaceAll(">", "&gt;")
+	.replaceAll("\"", "&quot;");
+
+module.exports = class Matrix extends require("./template.js") {
+	#userId;
+	#roomId;
+	#since = null;
+	#transaction = 0;
+	#active = false;
+
+	constructor (config) {
+		super("matrix", {
+			...config,
+			prefix: config.prefix ?? "!"
+		});
+
+		if (!this.url) {
+			throw new app.Error({
+				message: "No homeserver URL provided for Matrix controller"
+			});
+		}
+		else if (!this.token) {
+			throw new app.Error({
+				message: "Matrix access token has not been configured for the bot"
+			});
+		}
+
+		this.#userId = config.userId ?? null;
+		this.#roomId = config.roomId ?? null;
+		if (!this.#userId) {
+			throw new app.Error({
+				message: "No user ID provided for Matrix controller"
+			});
+		}
+		else if (!this.#roomId) {
+			throw new app.Error({
+				message: "No room ID provided for Matrix controller"
+			});
+		}
+	}
+
+	get userId () { return this.#userId; }
+	get roomId () { return this.#roomId; }
+
+	async connect () {
+		await this.join(this.#roomId);
+
+		// The first sync only returns the current state and backlog, which must not be handled as commands
+		const initial = await this.sync(0);
+		this.#since = initial.next_batch;
+
+		this.#active = true;
+		this.poll();
+	}
+
+	async poll () {
+		while (this.#active) {
+			try {
+				const body = await this.sync(SYNC_TIMEOUT);
+				this.#since = body.next_batch;
+
+				await this.processSync(body);
+			}
+			catch (e) {
+				app.Logger.log("Matrix", {
+					message: "Failed to sync with homeserver",
+					args: {
+						id: this.id,
+						error: e
+					}
+				});
+
+				await setTimeout(RETRY_DELAY);
+			}
+		}
+	}
+
+	async sync (timeout) {
+		const searchParams = { timeout };
+		if (this.#since) {
+			searchParams.since = this.#since;
+		}
+
+		const res = await this.request("GET", "/sync", {
+			searchParams,
+			timeout: {
+				request: timeout + SYNC_TIMEOUT
+			}
+		});
+
+		return res.body;
+	}
+
+	async processSync (body) {
+		const invites = Object.keys(body.rooms?.invite ?? {});
+		if (invites.includes(this.#roomId)) {
+			await this.join(this.#roomId);
+		}
+
+		const room = body.rooms?.join?.[this.#roomId];
+		const events = room?.timeline?.events ?? [];
+		for (const event of events) {
+			if (event.type !== "m.room.message" || event.sender === this.#userId) {
+				continue;
+			}
+
+			const text = event.content?.body;
+			if (event.content?.msgtype !== "m.text" || typeof text !== "string" || !text.startsWith(this.prefix)) {
+				continue;
+			}
+
+			const [command, ...args] = text.slice(this.prefix.length).split(/\s+/).filter(Boolean);
+			if (!command) {
+				continue;
+			}
+
+			await this.handleCommand({
+				command: command.toLowerCase(),
+				args,
+				channelData: {
+					id: this.#roomId,
+					name: null
+				},
+				userData: {
+					id: event.sender,
+					username: event.sender
+				}
+			});
+		}
+	}
+
+	async join (roomId) {
+		await this.request("POST", `/join/${encodeURIComponent(roomId)}`, {
+			json: {}
+		});
+	}
+
+	async request (method, path, options = {}) {
+		const res = await app.Got("API", {
+			url: `${this.url.replace(/\/+$/, "")}/_matrix/client/v3${path}`,
+			method,
+			responseType: "json",
+			throwHttpErrors: false,
+			headers: {
+				Authorization: `Bearer ${this.token}`
+			},
+			...options
+		});
+
+		if (res.statusCode !== 200) {
+			throw new app.Error({
+				message: "Matrix request failed",
+				args: {
+					path,
+					statusCode: res.statusCode,
+					statusMessage: res.statusMessage,
+					body: res.body
+				}
+			});
+		}
+
+		return res;
+	}
+
+	async send (message, options = {}) {
+		if (typeof message !== "string") {
+			throw new app.Error({
+				message: "Provided message is not a string",
+				args: {
+					message: {
+						type: typeof message,
+						constructor: message?.constructor?.name ?? "N/A"
+					}
+				}
+			});
+		}
+
+		const content = {
+			msgtype: options.msgtype ?? "m.text",
+			body: message
+		};
+
+		if (options.html) {
+			content.format = "org.matrix.custom.html";
+			content.formatted_body = options.html;
+		}
+
+		const roomId = encodeURIComponent(options.roomId ?? this.#roomId);
+		const transactionId = `${Date.now()}.${this.#transaction++}`;
+
+		await this.request("PUT", `/rooms/${roomId}/send/m.room.message/${transactionId}`, {
+			json: content
+		});
+
+		return true;
+	}
+
+	async notify (notification, options = {}) {
+		const { text, html } = this.prepareMessage(notification, options);
+		await this.send(text, {
+			msgtype: "m.notice",
+			html
+		});
+	}
+
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+
+		const text = [notification.title];
+		const html = [`<strong>${escapeHTML(notification.title)}</strong>`];
+		if (notification.description) {
+			text.push(notification.description);
+			html.push(escapeHTML(notification.description));
+		}
+		if (notification.game) {
+			text.push(`Game: ${notification.game}`);
+			html.push(`<strong>Game</strong>: ${escapeHTML(notification.game)}`);
+		}
+		for (const field of notification.fields) {
+			text.push(`${field.name}: ${field.value}`);
+			html.push(`<strong>${escapeHTML(field.name)}</strong>: ${escapeHTML(field.value)}`);
+		}
+
+		return {
+			text: text.join("\n"),
+			html: html.join("<br>").replaceAll("\n", "<br>")
+		};
+	}
+
+	async handleCommand (data) {
+		const { command, args, channelData, userData } = data;
+
+		const execution = await app.Command.checkAndRun(command, args, channelData, userData, {
+			platform: this
+		});
+
+		if (!execution?.reply) {
+			return;
+		}
+
+		await this.send(execution.reply, {
+			roomId: channelData.id
+		});
+	}
+
+	createUserMention () {
+		return null;
+	}
+
+	destroy () {
+		this.#active = false;
+	}
+};
@@ -0,0 +1,220 @@
+const PRIORITY_LEVELS = ["min", "low", "default", "high", "urgent"];
+
+const SERVICE_PRIORITIES = {
+	ntfy: {
+		min: 1,
+		low: 2,
+		default: 3,
+		high: 4,
+		urgent: 5
+	},
+	gotify: {
+		min: 0,
+		low: 2,
+		default: 5,
+		high: 8,
+		urgent: 10
+	}
+};
+
+const SEVERITY_PRIORITIES = {
+	info: "min",
+	warning: "high",
+	critical: "urgent"
+};
+
+module.exports = class Push extends require("./template.js") {
+	#topic;
+	#priorities;
+
+	static priorities = {
+		"check-in": "low",
+		"code-redeem": "low",
+		dailies: "default",
+		expedition: "default",
+		"howl-scratch-card": "default",
+		"realm-currency": "default",
+		"shop-status": "default",
+		stamina: "default",
+		weeklies: "default",
+		"quiet-hours": "default",
+		"cookie-expired": "high",
+		"cookie-refresh": "default"
+	};
+
+	/**
+	 * @param {"ntfy"|"gotify"} service
+	 * @param {Object} config
+	 */
+	constructor (service, config) {
+		super(service, config);
+
+		if (!SERVICE_PRIORITIES[service]) {
+			throw new app.Error({
+				message: "Unsupported push service provided.",
+				args: {
+					service
+				}
+			});
+		}
+
+		if (!this.url) {
+			throw new app.Error({
+				message: `No server URL provided for ${service} Platform`
+			});
+		}
+
+		this.#topic = config.topic ?? null;
+		if (service === "ntfy" && !this.#topic) {
+			throw new app.Error({
+				message: "No topic provided for ntfy Platform"
+			});
+		}
+		if (service === "gotify" && !this.token) {
+			throw new app.Error({
+				message: "No application token provided for Gotify Platform"
+			});
+		}
+
+		this.#priorities = {
+			...Push.priorities,
+			...config.priorities
+		};
+
+		const invalidPriorities = Object.entries(this.#priorities).filter(([, value]) => !PRIORITY_LEVELS.includes(value));
+		if (invalidPriorities.length !== 0) {
+			throw new app.Error({
+				message: "Invalid priority provided for push Platform.",
+				args: {
+					priorities: Object.fromEntries(invalidPriorities),
+					supportedPriorities: PRIORITY_LEVELS
+				}
+			});
+		}
+	}
+
+	get topic () { return this.#topic; }
+
+	connect () {}
+
+	async notify (notification, options = {}) {
+		const message = this.prepareMessage(notification, options);
+		await this.send(message);
+	}
+
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+		const game = notification.account?.platform ?? null;
+
+		const lines = [];
+		if (notification.description) {
+			lines.push(notification.description);
+		}
+		for (const field of notification.fields) {
+			lines.push(`${field.name}: ${field.value}`);
+		}
+
+		return {
+			title: notification.title,
+			message: lines.join("\n") || notification.title,
+			priority: this.getPriority(notification),
+			tags: [notification.type, game].filter(Boolean),
+			click: (game) ? app.HoyoLab.getBattleRecords(game) : null
+		};
+	}
+
+	/**
+	 * Resolves the priority level of a notification from its type and severity,
+	 * the severity can only raise the configured priority of the type.
+	 * @param {Object} notification Result of `Platform#prepareMessage`
+	 * @returns {string}
+	 */
+	getPriority (notification) {
+		const typePriority = this.#priorities[notification.type] ?? "default";
+		const severityPriority = SEVERITY_PRIORITIES[notification.severity] ?? "min";
+
+		const index = Math.max(
+			PRIORITY_LEVELS.indexOf(typePriority),
+			PRIORITY_LEVELS.indexOf(severityPriority)
+		);
+
+		return PRIORITY_LEVELS[index];
+	}
+
+	async send (message) {
+		if (typeof message !== "object") {
+			throw new app.Error({
+				message: "Provided message is not an object",
+				args: {
+					message: {
+						type: typeof message,
+						constructor: message?.constructor?.name ?? "N/A"
+					}
+				}
+			});
+		}
+
+		const priority = SERVICE_PRIORITIES[this.name][message.priority ?? "default"];
+		const baseUrl = this.url.replace(/\/+$/, "");
+
+		let res;
+		if (this.name === "ntfy") {
+			res = await app.Got("API", {
+				url: baseUrl,
+				method: "POST",
+				responseType: "json",
+				throwHttpErrors: false,
+				headers: (this.token) ? { Authorization: `Bearer ${this.token}` } : {},
+				json: {
+					topic: this.#topic,
+					title: message.title,
+					message: message.message,
+					priority,
+					tags: message.tags ?? [],
+					...(message.click ? { click: message.click } : {})
+				}
+			});
+		}
+		else {
+			const extras = {};
+			if (message.click) {
+				extras["client::notification"] = {
+					click: { url: message.click }
+				};
+			}
+
+			res = await app.Got("API", {
+				url: `${baseUrl}/message`,
+				method: "POST",
+				responseType: "json",
+				throwHttpErrors: false,
+				headers: {
+					"X-Gotify-Key": this.token
+				},
+				json: {
+					title: message.title,
+					message: message.message,
+					priority,
+					extras
+				}
+			});
+		}
+
+		if (res.statusCode !== 200) {
+			throw new app.Error({
+				message: `Failed to send ${this.name} message`,
+				args: {
+					statusCode: res.statusCode,
+					statusMessage: res.statusMessage,
+					body: res.body
+				}
+			});
+		}
+
+		return true;
+	}
+
+	createUserMention () {
+		return null;
+	}
+};
@@ -0,0 +1,239 @@
+const crypto = require("node:crypto");
+const http = require("node:http");
+
+const SIGNATURE_VERSION = "v0";
+const MAX_REQUEST_AGE = 300;
+
+module.exports = class Slack extends require("./template.js") {
+	#signingSecret;
+	#port;
+	#server = null;
+
+	constructor (config) {
+		super("slack", config);
+
+		if (!this.token) {
+			throw new app.Error({
+				message: "Slack bot token has not been configured"
+			});
+		}
+
+		this.#signingSecret = config.signingSecret ?? null;
+		this.#port = config.port ?? null;
+		if (this.#port !== null && !this.#signingSecret) {
+			throw new app.Error({
+				message: "A signing secret is required to receive Slack slash commands"
+			});
+		}
+	}
+
+	/**
+	 * Starts the slash command listener when a port is configured.
+	 * Notifications only need the bot token, so the listener is optional.
+	 */
+	async connect () {
+		if (this.#port === null) {
+			return;
+		}
+
+		this.#server = http.createServer((req, res) => this.handleRequest(req, res));
+		await new Promise((resolve, reject) => {
+			this.#server.once("error", reject);
+			this.#server.listen(this.#port, () => {
+				this.#server.off("error", reject);
+				resolve();
+			});
+		});
+
+		app.Logger.info("Slack", `Listening for slash commands on port ${this.#port}`);
+	}
+
+	async handleRequest (req, res) {
+		if (req.method !== "POST") {
+			res.writeHead(405).end();
+			return;
+		}
+
+		const chunks = [];
+		for await (const chunk of req) {
+			chunks.push(chunk);
+		}
+
+		const body = Buffer.concat(chunks).toString();
+		const timestamp = req.headers["x-slack-request-timestamp"];
+		const signature = req.headers["x-slack-signature"];
+		if (!Slack.verify(this.#signingSecret, timestamp, body, signature)) {
+			res.writeHead(401).end();
+			return;
+		}
+
+		const params = new URLSearchParams(body);
+		const command = (params.get("command") ?? "").replace(/^\//, "");
+		const args = (params.get("text") ?? "").split(/\s+/).filter(Boolean);
+
+		// Slack expects an acknowledgement within 3 seconds, the result is posted to response_url afterwards
+		res.writeHead(200).end();
+
+		try {
+			await this.handleCommand({
+				command,
+				args,
+				responseUrl: params.get("response_url"),
+				channelData: {
+					id: params.get("channel_id"),
+					name: params.get("channel_name")
+				},
+				userData: {
+					id: params.get("user_id"),
+					username: params.get("user_name")
+				}
+			});
+		}
+		catch (e) {
+			app.Logger.log("Slack", {
+				message: "Failed to handle slash command",
+				args: {
+					command,
+					error: e
+				}
+			});
+		}
+	}
+
+	async handleCommand (data) {
+		const { command, args, responseUrl, channelData, userData } = data;
+
+		const execution = await app.Command.checkAndRun(command, args, channelData, userData, {
+			platform: this
+		});
+
+		if (!execution?.reply) {
+			return;
+		}
+
+		await app.Got("API", {
+			url: responseUrl,
+			method: "POST",
+			json: {
+				response_type: "ephemeral",
+				text: execution.reply
+			}
+		});
+	}
+
+	async send (message, options = {}) {
+		const res = await app.Got("API", {
+			url: "https://slack.com/api/chat.postMessage",
+			method: "POST",
+			responseType: "json",
+			throwHttpErrors: false,
+			headers: {
+				Authorization: `Bearer ${this.token}`
+			},
+			json: {
+				channel: options.channel ?? this.channelId,
+				text: message,
+				attachments: options.attachments
+			}
+		});
+
+		if (res.body?.ok !== true) {
+			throw new app.Error({
+				message: "Failed to send Slack message",
+				args: {
+					statusCode: res.statusCode,
+					statusMessage: res.statusMessage,
+					body: res.body
+				}
+			});
+		}
+
+		return true;
+	}
+
+	subscribes (type) {
+		if (!this.channelId) {
+			return false;
+		}
+
+		return super.subscribes(type);
+	}
+
+	async notify (notification, options = {}) {
+		const attachment = this.prepareMessage(notification, options);
+		await this.send(notification.title, {
+			attachments: [attachment]
+		});
+	}
+
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+
+		const fields = notification.fields.map(i => ({
+			title: i.name,
+			value: i.value,
+			short: i.inline
+		}));
+
+		if (notification.game) {
+			fields.unshift({
+				title: "Game",
+				value: notification.game,
+				short: true
+			});
+		}
+
+		return {
+			color: (typeof notification.color === "number")
+				? `#${notification.color.toString(16).padStart(6, "0")}`
+				: undefined,
+			author_name: notification.author ?? undefined,
+			author_icon: notification.icon ?? undefined,
+			title: notification.title,
+			text: notification.description ?? undefined,
+			thumb_url: notification.thumbnail ?? undefined,
+			fields,
+			footer: notification.footer,
+			ts: Math.floor(new Date(notification.timestamp).getTime() / 1000)
+		};
+	}
+
+	createUserMention () {
+		return null;
+	}
+
+	destroy () {
+		this.#server?.close();
+		this.#server = null;
+	}
+
+	/**
+	 * Verifies the `X-Slack-Signature` of a request as described in Slack's request signing documentation.
+	 * @param {string} secret Signing secret of the Slack app
+	 * @param {string} timestamp Value of the `X-Slack-Request-Timestamp` header
+	 * @param {string} body Raw request body
+	 * @param {string} signature Value of the `X-Slack-Signature` header
+	 * @returns {boolean}
+	 */
+	static verify (secret, timestamp, body, signature) {
+		if (!timestamp || !signature) {
+			return false;
+		}
+
+		const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+		if (!Number.isFinite(age) || age > MAX_REQUEST_AGE) {
+			return false;
+		}
+
+		const expected = crypto
+			.createHmac("sha256", secret)
+			.update(`${SIGNATURE_VERSION}:${timestamp}:${body}`)
+			.digest("hex");
+
+		const expectedBuffer = Buffer.from(`${SIGNATURE_VERSION}=${expected}`);
+		const signatureBuffer = Buffer.from(signature);
+
+		return expectedBuffer.length === signatureBuffer.length
+			&& crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+	}
+};
@@ -1,16 +1,47 @@
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { setTimeout } = require("node:timers/promises");
+
+const POLLING_TIMEOUT = 30;
+const RETRY_DELAY = 5000;
+const ALLOWED_UPDATES = ["message", "callback_query"];
+const INPUT_TIMEOUT = 300000;
+
 module.exports = class Telegram extends require("./template.js") {
-	lastUpdatedId = 0;
-	firstRun = true;
+	offset = null;
 	disableNotification = false;
 	messageListeners = [];
 
-	handlingCallbackQuery = false;
+	#admins;
+	/** @type {Map<number, NodeJS.Timeout>} Users the bot is waiting for a reply from, with the timer of their request */
+	#awaitingInput = new Map();
+	#webhook;
+	#server = null;
+	#polling = false;
+
+	static notificationEmojis = {
+		"check-in": "🎁",
+		"code-redeem": "🎟️",
+		dailies: "📅",
+		expedition: "🧭",
+		"howl-scratch-card": "📰",
+		"realm-currency": "💰",
+		"shop-status": "🛒",
+		stamina: "🔋",
+		weeklies: "📊",
+		"quiet-hours": "🌙",
+		"cookie-expired": "🔑",
+		"cookie-refresh": "🔄"
+	};
 
 	static possibleCommands = [
 		"/stamina",
 		"/expedition",
 		"/notes",
-		"/redeem"
+		"/redeem",
+		"/diary",
+		"/codes",
+		"/queue"
 	];
 
 	constructor (config) {
@@ -27,25 +58,62 @@ module.exports = class Telegram extends require("./template.js") {
 			});
 		}
 
-		// If you received error message such as "409: Conflict", try to increase the interval
-		setInterval(() => this.connect(), 5000);
+		// Without explicit admins, the owner of the notification chat keeps access to every account.
+		// Group chat IDs are negative and never match a user, so a group needs its admins listed
+		this.#admins = (config.admins ?? [this.chatId]).map(String);
+		if (!config.admins && String(this.chatId).startsWith("-")) {
+			app.Logger.warn("Telegram", "chatId is a group chat and no admins are configured, only account owners can use commands. Set admins to the user IDs that may use every account");
+		}
+
+		const { webhook } = config;
+		if (webhook) {
+			if (!webhook.url || !webhook.port) {
+				throw new app.Error({
+					message: "Telegram webhook mode requires both url and port",
+					args: {
+						webhook
+					}
+				});
+			}
+
+			this.#webhook = {
+				...webhook,
+				secretToken: webhook.secretToken ?? crypto.randomBytes(32).toString("hex")
+			};
+		}
+		else {
+			this.#webhook = null;
+		}
+	}
+
+	get admins () { return this.#admins; }
+
+	get offsetCacheKey () {
+		return `telegram-offset-${this.id}`;
 	}
 
 	async connect () {
+		if (this.#webhook) {
+			await this.startWebhook();
+		}
+		else {
+			await this.startPolling();
+		}
+	}
+
+	async request (method, json = {}, options = {}) {
 		const res = await app.Got("API", {
-			url: `https://api.telegram.org/bot${this.token}/getUpdates`,
+			url: `https://api.telegram.org/bot${this.token}/${method}`,
 			method: "POST",
 			responseType: "json",
 			throwHttpErrors: false,
-			json: {
-				offset: this.lastUpdatedId + 1,
-				allowed_updates: ["message", "callback_query"]
-			}
+			json,
+			...options
 		});
 
-		if (res.body.ok !== true) {
+		if (res.body?.ok !== true) {
 			throw new app.Error({
-				message: "Failed to get telegram updates",
+				message: `Telegram ${method} request failed`,
 				args: {
 					statusCode: res.statusCode,
 					statusMessage: res.statusMessage,
@@ -54,20 +122,151 @@ module.exports = class Telegram extends require("./template.js") {
 			});
 		}
 
-		if (this.firstRun) {
-			this.firstRun = false;
+		return res.body.result;
+	}
+
+	/**
+	 * Long polls `getUpdates`. The offset is stored in the cache after every processed update,
+	 * so updates are neither handled twice nor lost when the bot restarts.
+	 */
+	async startPolling () {
+		// getUpdates responds with 409 Conflict while a webhook is set
+		await this.request("deleteWebhook");
+
+		this.offset = await app.Cache.get(this.offsetCacheKey) ?? null;
+		if (this.offset === null) {
+			// First start: skip the backlog instead of answering commands sent while the bot was never running
+			const [last] = await this.request("getUpdates", { offset: -1, timeout: 0 });
+			await this.saveOffset(last ? last.update_id + 1 : 0);
+		}
+
+		this.#polling = true;
+		this.poll();
+	}
+
+	async poll () {
+		while (this.#polling) {
+			try {
+				const updates = await this.request("getUpdates", {
+					offset: this.offset,
+					timeout: POLLING_TIMEOUT,
+					allowed_updates: ALLOWED_UPDATES
+				}, {
+					timeout: {
+						request: (POLLING_TIMEOUT + 10) * 1000
+					}
+				});
+
+				for (const update of updates) {
+					// A failing update is skipped, otherwise it would be fetched again and block every later one
+					try {
+						await this.processUpdate(update);
+					}
+					catch (e) {
+						app.Logger.log("Telegram", {
+							message: "Failed to process telegram update",
+							args: {
+								id: this.id,
+								updateId: update.update_id,
+								error: e
+							}
+						});
+					}
+
+					await this.saveOffset(update.update_id + 1);
+				}
+			}
+			catch (e) {
+				app.Logger.log("Telegram", {
+					message: "Failed to get telegram updates",
+					args: {
+						id: this.id,
+						error: e
+					}
+				});
+
+				await setTimeout(RETRY_DELAY);
+			}
+		}
+	}
+
+	async saveOffset (offset) {
+		this.offset = offset;
+		await app.Cache.set({
+			key: this.offsetCacheKey,
+			value: offset
+		});
+	}
+
+	/**
+	 * Receives updates through a local HTTP listener. Telegram sends the configured secret token
+	 * with every request, requests without it are rejected.
+	 */
+	async startWebhook () {
+		const { url, port, secretToken } = this.#webhook;
+
+		this.#server = http.createServer((req, res) => this.handleWebhookRequest(req, res));
+		await new Promise((resolve, reject) => {
+			this.#server.once("error", reject);
+			this.#server.listen(port, () => {
+				this.#server.off("error", reject);
+				resolve();
+			});
+		});
+
+		await this.request("setWebhook", {
+			url,
+			secret_token: secretToken,
+			allowed_updates: ALLOWED_UPDATES
+		});
+
+		app.Logger.info("Telegram", `Listening for webhook updates on port ${port}`);
+	}
+
+	async handleWebhookRequest (req, res) {
+		if (req.method !== "POST") {
+			res.writeHead(405).end();
 			return;
 		}
 
-		const { result } = res.body;
+		const token = req.headers["x-telegram-bot-api-secret-token"] ?? "";
+		const expected = Buffer.from(this.#webhook.secretToken);
+		const received = Buffer.from(token);
+		if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+			res.writeHead(401).end();
+			return;
+		}
 
-		if (result.length > 0) {
-			await this.processMessageUpdates(result);
-			this.lastUpdatedId = result[result.length - 1].update_id;
+		const chunks = [];
+		for await (const chunk of req) {
+			chunks.push(chunk);
 		}
-		else {
-			this.lastUpdatedId = 0;
+
+		let update;
+		try {
+			update = JSON.parse(Buffer.concat(chunks).toString());
+		}
+		catch {
+			res.writeHead(400).end();
+			return;
+		}
+
+		// Answered after processing, but always with 200: Telegram would otherwise resend a failing update
+		try {
+			await this.processUpdate(update);
+		}
+		catch (e) {
+			app.Logger.log("Telegram", {
+				message: "Failed to process webhook update",
+				args: {
+					id: this.id,
+					updateId: update.update_id,
+					error: e
+				}
+			});
 		}
+
+		res.writeHead(200).end();
 	}
 
 	async send (message, options = {}) {
@@ -111,34 +310,58 @@ module.exports = class Telegram extends require("./template.js") {
 		return true;
 	}
 
+	async notify (notification, options = {}) {
+		const message = this.prepareMessage(notification, options);
+		const chatId = Telegram.getAccountChat(notification.account ?? notification.mention);
+
+		await this.send(message, {
+			chat_id: chatId ?? this.chatId
+		});
+	}
+
+	isAdmin (userData) {
+		return this.#admins.includes(String(userData?.id ?? ""));
+	}
+
+	/**
+	 * Admins may use every account, other users only the accounts whose `telegram.userId` matches theirs.
+	 */
+	canAccess (account, userData) {
+		if (this.isAdmin(userData)) {
+			return true;
+		}
+
+		const ownerId = account.telegram?.userId;
+		return Boolean(ownerId) && String(ownerId) === String(userData?.id ?? "");
+	}
+
 	async handleCommand (data) {
 		const { command, args, channelData, userData } = data;
+		const replyOptions = {
+			chat_id: channelData.id
+		};
+
+		if (command === "redeem" && args.length === 0) {
+			const choices = app.Command.getAccountChoices({
+				platform: this,
+				user: userData
+			});
 
-		if (command === "redeem") {
-			// eslint-disable-next-line object-curly-spacing
-			const accounts = app.HoyoLab.getActiveAccounts({ blacklist: ["honkai", "tot"] });
-			if (accounts.length === 0) {
-				await this.send("There are no accounts available for redeeming codes.");
+			if (choices.length === 0) {
+				await this.send(app.Utils.escapeCharacters("There are no accounts available for redeeming codes."), replyOptions);
 				return;
 			}
 
-			const keyboard = [];
-			for (const account of accounts) {
-				const game = account.game.short.toLowerCase();
-				const region = app.HoyoLab.getRegion(account.region);
-
-				const text = `(${region}) ${account.game.short} - (${account.uid}) ${account.nickname}`;
-				keyboard.push([
-					{
-						text,
-						callback_data: `redeem:${game}:${account.uid}`
-					}
-				]);
-			}
+			// UIDs of different games can be the same, the button keeps the game of the account
+			const keyboard = choices.map(i => [{
+				text: i.name,
+				callback_data: `redeem:${i.game}:${i.value}`
+			}]);
 
 			await this.send(
 				"Please select the account you want to redeem the code for:",
 				{
+					...replyOptions,
 					reply_markup: {
 						inline_keyboard: keyboard
 					}
@@ -153,10 +376,7 @@ module.exports = class Telegram extends require("./template.js") {
 			channelData,
 			userData,
 			{
-				platform: {
-					id: 2,
-					name: "Telegram"
-				}
+				platform: this
 			}
 		);
 
@@ -166,65 +386,82 @@ module.exports = class Telegram extends require("./template.js") {
 
 		const { reply } = execution;
 
-		const message = this.prepareMessage(reply);
+		const message = app.Utils.escapeCharacters(reply);
 		if (message) {
-			await this.send(message);
+			await this.send(message, replyOptions);
 		}
 	}
 
-	async handleMessage (messageData, options = {}) {
+	async handleMessage (messageData) {
 		if (messageData.callback_query) {
-			this.handlingCallbackQuery = true;
+			const { data, from, message } = messageData.callback_query;
+			const replyOptions = {
+				chat_id: message?.chat.id ?? from.id
+			};
 
-			const data = messageData.callback_query.data;
 			if (data.startsWith("redeem:")) {
 				const parts = data.split(":");
 
-				let game = parts[1];
+				const game = app.Command.normalizeGame(parts[1]);
 				const uid = parts[2];
 
-				await this.send("Please enter the code you want to redeem:");
-
-				const code = await this.waitForUserInput(
-					messageData.callback_query.from.id,
-					messageData.callback_query
-				);
+				const account = app.HoyoLab.getAccountById(uid, parts[1]);
+				if (!account || !this.canAccess(account, from)) {
+					await this.send(app.Utils.escapeCharacters("You don't have access to this account."), replyOptions);
+					return;
+				}
 
-				if (code) {
-					if (game === "zzz") {
-						game = "nap";
-					}
-					else if (game === "hsr") {
-						game = "starrail";
-					}
-					else if (game === "gi") {
-						game = "genshin";
-					}
+				await this.send("Please enter the code you want to redeem:", replyOptions);
 
-					const res = await app.HoyoLab.redeemCode(game, uid, code);
+				const code = await this.waitForUserInput(from.id);
+				if (code === null) {
+					await this.send(app.Utils.escapeCharacters("No code received in time, the redemption was cancelled."), replyOptions);
+				}
+				else if (code) {
+					const res = await app.Got.scheduler.run("interactive", () => app.HoyoLab.redeemCode(game, uid, code));
 					if (!res.success) {
-						const reason = this.prepareMessage(res.data.reason);
-						await this.send(`Failed to redeem code: ${reason}`);
+						const reason = app.Utils.escapeCharacters(res.data.reason);
+						await this.send(`Failed to redeem code: ${reason}`, replyOptions);
 					}
 					else {
-						await this.send(`Successfully redeemed code: ${code}`);
+						await this.send(`Successfully redeemed code: ${code}`, replyOptions);
 					}
 				}
-				this.handlingCallbackQuery = false;
-				return;
 			}
 		}
+	}
 
-		const message = this.prepareMessage(messageData, options);
-		if (message) {
-			return message;
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+		const emoji = Telegram.notificationEmojis[notification.type] ?? "📢";
+
+		const lines = [`${emoji} **${notification.title}**`];
+		if (notification.description) {
+			lines.push(notification.description);
+		}
+		if (notification.game) {
+			lines.push(`🎮 **Game**: ${notification.game}`);
 		}
+		for (const field of notification.fields) {
+			lines.push(`**${field.name}**: ${field.value}`);
+		}
+
+		return app.Utils.escapeCharacters(lines.join("\n"));
 	}
 
-	prepareMessage (messageData) {
-		const escapedMessage = app.Utils.escapeCharacters(messageData);
+	/**
+	 * Resolves the chat that receives notifications about an account: its `telegram.chatId`,
+	 * or the private chat with its `telegram.userId`.
+	 * @param {Object} [account]
+	 * @returns {number|string|null}
+	 */
+	static getAccountChat (account) {
+		const telegram = account?.telegram;
+		if (!telegram) {
+			return null;
+		}
 
-		return escapedMessage;
+		return telegram.chatId ?? telegram.userId ?? null;
 	}
 
 	addMessageListener (listener) {
@@ -235,50 +472,84 @@ module.exports = class Telegram extends require("./template.js") {
 		this.messageListeners = this.messageListeners.filter((l) => l !== listener);
 	}
 
-	async waitForUserInput (userId, callbackQuery) {
-		return new Promise((resolve, reject) => {
+	/**
+	 * Waits for the next message of a user. Other users are not affected while a user is awaited.
+	 * @param {number} userId
+	 * @returns {Promise<string|null>} The text of the message, null if none arrived within `INPUT_TIMEOUT`
+	 */
+	async waitForUserInput (userId) {
+		return new Promise((resolve) => {
+			let expiry = null;
+			const finish = (value) => {
+				clearTimeout(expiry);
+				this.removeMessageListener(listener);
+				this.#awaitingInput.delete(userId);
+				resolve(value);
+			};
+
 			const listener = async (msgData) => {
 				if (msgData.message && msgData.message.from.id === userId) {
-					const code = msgData.message.text;
-					this.removeMessageListener(listener);
-					resolve(code);
+					finish(msgData.message.text ?? "");
 				}
 			};
+
+			expiry = globalThis.setTimeout(() => finish(null), INPUT_TIMEOUT);
+			this.#awaitingInput.set(userId, expiry);
 			this.addMessageListener(listener);
 		});
 	}
 
-	async processMessageUpdates (result) {
-		for (const update of result) {
-			if (update.callback_query && !this.handlingCallbackQuery) {
-				await this.handleMessage(update);
-			}
-			else if (update.message) {
-				const { message } = update;
-				const command = message.text.split(" ")[0];
-				if (Telegram.possibleCommands.includes(command)) {
-					const args = message.text.split(" ").slice(1);
-					const channelData = {
-						id: message.chat.id,
-						name: message.chat.title ?? null
-					};
-					const userData = {
-						id: message.from.id,
-						username: message.from.first_name ?? null
-					};
-					await this.handleCommand({
-						command: command.slice(1),
-						args,
-						channelData,
-						userData
-					});
+	async processUpdate (update) {
+		// Buttons of a user that is asked for input are ignored until they replied or the request timed out
+		if (update.callback_query && !this.#awaitingInput.has(update.callback_query.from.id)) {
+			// Not awaited, the callback waits for the user's next message which arrives as a later update
+			this.handleMessage(update).catch(e => app.Logger.log("Telegram", {
+				message: "Failed to handle callback query",
+				args: {
+					id: this.id,
+					error: e
 				}
-				else {
-					for (const listener of this.messageListeners) {
-						await listener(update);
-					}
+			}));
+		}
+		else if (update.message) {
+			const { message } = update;
+			const text = message.text ?? "";
+			const command = text.split(" ")[0];
+			if (Telegram.possibleCommands.includes(command)) {
+				const args = text.split(" ").slice(1);
+				const channelData = {
+					id: message.chat.id,
+					name: message.chat.title ?? null
+				};
+				const userData = {
+					id: message.from.id,
+					username: message.from.first_name ?? null
+				};
+				await this.handleCommand({
+					command: command.slice(1),
+					args,
+					channelData,
+					userData
+				});
+			}
+			else {
+				for (const listener of this.messageListeners) {
+					await listener(update);
 				}
 			}
 		}
 	}
+
+	destroy () {
+		this.#polling = false;
+		for (const expiry of this.#awaitingInput.values()) {
+			clearTimeout(expiry);
+		}
+
+		this.#awaitingInput.clear();
+		this.messageListeners = [];
+
+		this.#server?.close();
+		this.#server = null;
+	}
 };
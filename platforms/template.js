@@ -1,5 +1,3 @@
-const WEBHOOK_REGEX = /https:\/\/discord.com\/api\/webhooks\/\d+\/[\w-]+/;
-
 module.exports = class Platform {
 	#id;
 	#url;
@@ -8,13 +6,39 @@ module.exports = class Platform {
 	#token;
 	#prefix;
 	#chatId;
+	#channelId;
 	#data;
 	#disableNotification;
+	#notifications;
+	#quietHours;
 
 	client;
 
 	/** @type {Platform[]} */
 	static list = [];
+	static notificationTypes = [
+		"check-in",
+		"code-redeem",
+		"dailies",
+		"expedition",
+		"howl-scratch-card",
+		"realm-currency",
+		"shop-status",
+		"stamina",
+		"weeklies",
+		"quiet-hours",
+		"cookie-expired",
+		"cookie-refresh"
+	];
+
+	static severities = ["info", "warning", "critical"];
+
+	static QUIET_HOURS_CACHE_KEY = "quiet-hours";
+	// Discord rejects embeds with more than 25 fields
+	static maxSummaryFields = 20;
+
+	/** @type {Map<string, Promise>} */
+	static #writes = new Map();
 
 	constructor (name, config) {
 		this.#name = name;
@@ -31,21 +55,40 @@ module.exports = class Platform {
 		}
 
 		this.#url = config.url ?? null;
-		if (this.#url && !WEBHOOK_REGEX.test(this.#url)) {
-			throw new app.Error({
-				message: "Invalid URL provided for Webhook Platform.",
-				args: {
-					url: this.#url
-				}
-			});
-		}
 
 		this.#botId = config.botId ?? null;
 		this.#token = config.token ?? null;
 		this.#prefix = config.prefix ?? null;
 		this.#chatId = config.chatId ?? null;
+		this.#channelId = config.channelId ?? null;
 		this.#disableNotification = config.disableNotification ?? false;
 
+		const notifications = config.notifications ?? Platform.notificationTypes;
+		if (!Array.isArray(notifications)) {
+			throw new app.Error({
+				message: "Invalid notifications provided for Platform, expected an array.",
+				args: {
+					id: this.#id,
+					notifications
+				}
+			});
+		}
+
+		const unknownTypes = notifications.filter(i => !Platform.notificationTypes.includes(i));
+		if (unknownTypes.length !== 0) {
+			throw new app.Error({
+				message: "Unknown notification type provided for Platform.",
+				args: {
+					id: this.#id,
+					unknownTypes,
+					supportedTypes: Platform.notificationTypes
+				}
+			});
+		}
+
+		this.#notifications = notifications;
+		this.#quietHours = (config.quietHours) ? new app.QuietHours(config.quietHours) : null;
+
 		this.#data = config.platform ?? {};
 
 		Platform.list.push(this);
@@ -63,9 +106,13 @@ module.exports = class Platform {
 	get Prefix () { return this.#prefix; }
 	get prefix () { return this.#prefix; }
 	get chatId () { return this.#chatId; }
+	get channelId () { return this.#channelId; }
 	get Data () { return this.#data; }
 	get data () { return this.#data; }
 	get disableNotification () { return this.#disableNotification; }
+	get notifications () { return this.#notifications; }
+	get quietHours () { return this.#quietHours; }
+	get quietHoursKey () { return `${Platform.QUIET_HOURS_CACHE_KEY}-${this.id}`; }
 
 	initListeners () {}
 
@@ -76,44 +123,245 @@ module.exports = class Platform {
 		});
 	}
 
+	/**
+	 * Checks whether this platform should receive notifications of the given type.
+	 * @param {string} type
+	 * @returns {boolean}
+	 */
+	subscribes (type) {
+		return this.#notifications.includes(type);
+	}
+
+	/**
+	 * Resolves the quiet hours currently holding back notifications about an account on this platform.
+	 * The quiet hours of the account take precedence over the ones of the platform.
+	 * @param {Object|null} account
+	 * @returns {QuietHours|null}
+	 */
+	getActiveQuietHours (account) {
+		const candidates = [account?.quietHours, this.#quietHours].filter(Boolean);
+		return candidates.find(i => i.isActive(account?.timezone)) ?? null;
+	}
+
+	/**
+	 * Stores a notification until the quiet hours of its account end.
+	 * @param {Object} messageData See `Platform#prepareMessage`
+	 * @param {Object} options
+	 * @param {string} options.type
+	 * @returns {Promise<void>}
+	 */
+	async defer (messageData, options = {}) {
+		// Derived platforms render `prepareMessage` into their own format, only the normalized notification is stored
+		const notification = Platform.prototype.prepareMessage.call(this, messageData, options);
+		const account = notification.account;
+		const entry = {
+			type: notification.type,
+			title: notification.title,
+			description: notification.description,
+			fields: notification.fields,
+			game: notification.game,
+			author: notification.author,
+			icon: notification.icon,
+			color: notification.color,
+			severity: notification.severity,
+			account: (account) ? { platform: account.platform, uid: account.uid } : null,
+			timestamp: new Date(notification.timestamp).toISOString()
+		};
+
+		await this.#updateDeferred((deferred) => {
+			const key = Platform.getAccountKey(entry.account);
+			deferred[key] ??= [];
+			deferred[key].push(entry);
+		});
+	}
+
+	/**
+	 * Sends a summary of the notifications deferred for every account whose quiet hours have ended.
+	 * @returns {Promise<number>} Number of summaries sent
+	 */
+	async flushDeferred () {
+		const deferred = await app.Cache.get(this.quietHoursKey) ?? {};
+
+		let sent = 0;
+		for (const [key, entries] of Object.entries(deferred)) {
+			const [reference] = entries;
+			const account = (reference.account) ? app.HoyoLab.getAccountById(reference.account.uid, reference.account.platform) : null;
+			if (this.getActiveQuietHours(account)) {
+				continue;
+			}
+
+			try {
+				await this.notify(Platform.summarize(entries, account), { type: "quiet-hours" });
+				sent++;
+			}
+			catch (e) {
+				app.Logger.log(`Platform:${this.name}`, {
+					message: "Failed to deliver quiet hours summary, it will be retried",
+					args: {
+						id: this.id,
+						error: e
+					}
+				});
+
+				continue;
+			}
+
+			const isSent = (entry) => entries.some(i => i.timestamp === entry.timestamp && i.title === entry.title);
+			await this.#updateDeferred((current) => {
+				// Notifications deferred while the summary was being sent are kept for the next one
+				current[key] = (current[key] ?? []).filter(i => !isSent(i));
+				if (current[key].length === 0) {
+					delete current[key];
+				}
+			});
+		}
+
+		return sent;
+	}
+
+	async #updateDeferred (callback) {
+		const key = this.quietHoursKey;
+		const previous = Platform.#writes.get(key) ?? Promise.resolve();
+		const task = previous.catch(() => {}).then(async () => {
+			const deferred = await app.Cache.get(key) ?? {};
+			callback(deferred);
+
+			await app.Cache.set({
+				key,
+				value: deferred
+			});
+		});
+
+		Platform.#writes.set(key, task);
+		try {
+			await task;
+		}
+		finally {
+			if (Platform.#writes.get(key) === task) {
+				Platform.#writes.delete(key);
+			}
+		}
+	}
+
+	/**
+	 * Renders a notification with `prepareMessage` and delivers it.
+	 * @abstract
+	 */
+	// eslint-disable-next-line no-unused-vars
+	async notify (notification, options = {}) {
+		throw new app.Error({
+			message: "Notify method not implemented by the Platform."
+		});
+	}
+
+	/**
+	 * Validates a platform-neutral notification and fills in its defaults.
+	 * Derived platforms extend this to render the result into their native message format.
+	 * @param {Object} messageData
+	 * @param {string} messageData.title
+	 * @param {string} [messageData.description]
+	 * @param {{ name: string, value: *, inline?: boolean }[]} [messageData.fields]
+	 * @param {string} [messageData.game] Full game name, e.g. "Genshin Impact"
+	 * @param {string} [messageData.author] Author name, e.g. the game mascot or the account
+	 * @param {string} [messageData.icon] Icon URL, usually the game logo
+	 * @param {string} [messageData.thumbnail] Thumbnail URL, defaults to no thumbnail
+	 * @param {number} [messageData.color]
+	 * @param {string} [messageData.footer] Defaults to the title
+	 * @param {Object} [messageData.account] Account the notification is about, defaults to `mention`
+	 * @param {Object} [messageData.mention] Account whose owner should be mentioned
+	 * @param {Object} [messageData.data] Raw values behind the notification, for machine-readable platforms
+	 * @param {"info"|"warning"|"critical"} [messageData.severity]
+	 * @param {Object} options
+	 * @param {string} options.type One of `Platform.notificationTypes`
+	 * @returns {Object} Normalized notification
+	 */
 	prepareMessage (messageData, options = {}) {
 		if (!options.type) {
 			throw new app.Error({
-				message: "No type provided for webhook message preparation",
+				message: "No type provided for notification preparation",
 				args: {
 					type: options.type
 				}
 			});
 		}
 
-		if (typeof messageData !== "object" && typeof messageData !== "string") {
+		const type = options.type;
+		if (!Platform.notificationTypes.includes(type)) {
+			throw new app.Error({
+				message: "Invalid type provided.",
+				args: {
+					type
+				}
+			});
+		}
+
+		if (!messageData || typeof messageData !== "object" || typeof messageData.title !== "string") {
 			throw new app.Error({
-				message: "Invalid message data provided.",
+				message: "Invalid notification data provided.",
 				args: {
+					type,
 					messageData
 				}
 			});
 		}
 
-		const types = [
-			"stamina",
-			"check-in",
-			"expedition",
-			"dailies",
-			"weeklies"
-		];
-
-		const type = options.type;
-		if (!types.includes(type)) {
+		const severity = messageData.severity ?? "info";
+		if (!Platform.severities.includes(severity)) {
 			throw new app.Error({
-				message: "Invalid type provided.",
+				message: "Invalid notification severity provided.",
 				args: {
-					type
+					type,
+					severity
 				}
 			});
 		}
 
-		return messageData;
+		const fields = (messageData.fields ?? []).map(i => ({
+			name: String(i.name),
+			value: String(i.value),
+			inline: i.inline ?? true
+		}));
+
+		return {
+			type,
+			title: messageData.title,
+			description: messageData.description ?? null,
+			fields,
+			game: messageData.game ?? null,
+			author: messageData.author ?? null,
+			icon: messageData.icon ?? null,
+			thumbnail: messageData.thumbnail ?? null,
+			color: messageData.color ?? null,
+			footer: messageData.footer ?? messageData.title,
+			account: messageData.account ?? messageData.mention ?? null,
+			mention: messageData.mention ?? null,
+			data: messageData.data ?? null,
+			severity,
+			timestamp: messageData.timestamp ?? new Date()
+		};
+	}
+
+	/**
+	 * Checks whether the user who invoked a command is an admin, who may use every command on every account.
+	 * Platforms without a user to account mapping treat everyone as an admin.
+	 * @param {Object} userData User data passed to `Command.checkAndRun`
+	 * @returns {boolean}
+	 */
+	// eslint-disable-next-line no-unused-vars
+	isAdmin (userData) {
+		return true;
+	}
+
+	/**
+	 * Checks whether the user who invoked a command may use it on the given account.
+	 * Platforms without a user to account mapping allow every account.
+	 * @param {Object} account
+	 * @param {Object} userData User data passed to `Command.checkAndRun`
+	 * @returns {boolean}
+	 */
+	// eslint-disable-next-line no-unused-vars
+	canAccess (account, userData) {
+		return true;
 	}
 
 	// eslint-disable-next-line no-unused-vars
@@ -127,6 +375,11 @@ module.exports = class Platform {
 
 	destroy () {}
 
+	static remove (platform) {
+		platform.destroy();
+		Platform.list = Platform.list.filter(i => i !== platform);
+	}
+
 	static get (identifier) {
 		if (identifier instanceof Platform) {
 			return identifier;
@@ -150,6 +403,129 @@ module.exports = class Platform {
 		}
 	}
 
+	/**
+	 * Sends a notification to every active platform subscribed to the given type.
+	 * A failing platform is logged and does not prevent delivery to the others.
+	 * @param {string} type One of `Platform.notificationTypes`
+	 * @param {Object} notification See `Platform#prepareMessage` for the accepted properties
+	 * @param {Object} [options]
+	 * @returns {Promise<number>} Number of platforms the notification was delivered to
+	 */
+	static async notify (type, notification, options = {}) {
+		if (!Platform.notificationTypes.includes(type)) {
+			throw new app.Error({
+				message: "Invalid notification type provided.",
+				args: {
+					type
+				}
+			});
+		}
+
+		// Critical notifications, such as an expired cookie, are never held back
+		const account = notification.account ?? notification.mention ?? null;
+		const bypassQuietHours = (notification.severity === "critical");
+
+		let delivered = 0;
+		const platforms = Platform.list.filter(i => i.subscribes(type));
+		for (const platform of platforms) {
+			try {
+				const quietHours = (bypassQuietHours) ? null : platform.getActiveQuietHours(account);
+				if (quietHours?.mode === "suppress") {
+					app.Logger.debug(`Platform:${platform.name}`, `Suppressed ${type} notification during quiet hours`);
+					continue;
+				}
+				else if (quietHours) {
+					await platform.defer(notification, { type });
+					continue;
+				}
+
+				await platform.notify(notification, { ...options, type });
+				delivered++;
+			}
+			catch (e) {
+				app.Logger.log(`Platform:${platform.name}`, {
+					message: "Failed to deliver notification",
+					args: {
+						id: platform.id,
+						type,
+						error: e
+					}
+				});
+			}
+		}
+
+		return delivered;
+	}
+
+	/**
+	 * Flushes the deferred notifications of every platform.
+	 * @returns {Promise<void>}
+	 */
+	static async flushDeferred () {
+		for (const platform of Platform.list) {
+			await platform.flushDeferred();
+		}
+	}
+
+	static getAccountKey (account) {
+		return (account) ? `${account.platform}-${account.uid}` : "none";
+	}
+
+	/**
+	 * Builds a single notification out of deferred ones. Repeated notifications,
+	 * e.g. of a persistent stamina reminder, are collapsed into their latest occurrence.
+	 * @param {Object[]} entries Deferred notifications, oldest first
+	 * @param {Object|null} account
+	 * @returns {Object} Notification for `Platform#notify`
+	 */
+	static summarize (entries, account) {
+		const groups = new Map();
+		for (const entry of entries) {
+			const key = `${entry.type}:${entry.title}`;
+			const group = groups.get(key) ?? { latest: entry, count: 0 };
+			group.latest = entry;
+			group.count++;
+
+			groups.set(key, group);
+		}
+
+		const skipped = ["UID", "Username", "Region"];
+		const summaries = [...groups.values()];
+		const fields = summaries.slice(-Platform.maxSummaryFields).map(({ latest, count }) => {
+			const details = latest.fields.filter(i => !skipped.includes(i.name)).map(i => `${i.name}: ${i.value}`);
+			return {
+				name: (count > 1) ? `${latest.title} (x${count})` : latest.title,
+				value: [latest.description, ...details].filter(Boolean).join("\n") || "-",
+				inline: false
+			};
+		});
+
+		if (summaries.length > Platform.maxSummaryFields) {
+			fields.unshift({
+				name: "Older notifications",
+				value: `${summaries.length - Platform.maxSummaryFields} more not shown`,
+				inline: false
+			});
+		}
+
+		const [first] = entries;
+		const severity = Platform.severities.findLast(i => entries.some(j => j.severity === i)) ?? "info";
+		return {
+			title: "Quiet Hours Summary",
+			description: `${entries.length} notification(s) were held back during quiet hours`,
+			game: first.game,
+			author: first.author,
+			icon: first.icon,
+			color: first.color,
+			mention: account,
+			severity,
+			fields,
+			data: {
+				notifications: entries
+			}
+		};
+	}
+
 	static create (type, config) {
 		let InstancePlatform;
 		switch (type) {
@@ -162,6 +538,23 @@ module.exports = class Platform {
 			case "telegram":
 				InstancePlatform = require("./telegram.js");
 				break;
+			case "http":
+				InstancePlatform = require("./http.js");
+				break;
+			case "email":
+				InstancePlatform = require("./email.js");
+				break;
+			case "matrix":
+				InstancePlatform = require("./matrix.js");
+				break;
+			case "slack":
+				InstancePlatform = require("./slack.js");
+				break;
+			case "ntfy":
+			case "gotify": {
+				const Push = require("./push.js");
+				return new Push(type, config);
+			}
 			default:
 				throw new app.Error({
 					message: "Invalid platform type provided.",
@@ -1,3 +1,5 @@
+const WEBHOOK_REGEX = /https:\/\/discord.com\/api\/webhooks\/\d+\/[\w-]+/;
+
 module.exports = class Webhook extends require("./template.js") {
 	constructor (config) {
 		super("webhook", config);
@@ -7,6 +9,14 @@ module.exports = class Webhook extends require("./template.js") {
 				message: "No webhook URL provided"
 			});
 		}
+		else if (!WEBHOOK_REGEX.test(this.url)) {
+			throw new app.Error({
+				message: "Invalid URL provided for Webhook Platform.",
+				args: {
+					url: this.url
+				}
+			});
+		}
 	}
 
 	connect () {}
@@ -53,6 +63,21 @@ module.exports = class Webhook extends require("./template.js") {
 		return true;
 	}
 
+	async notify (notification, options = {}) {
+		const embed = this.prepareMessage(notification, options);
+
+		await this.send(embed, {
+			content: this.createUserMention(notification.mention?.discord) ?? "",
+			author: notification.author ?? undefined,
+			icon: notification.icon ?? undefined
+		});
+	}
+
+	prepareMessage (messageData, options = {}) {
+		const notification = super.prepareMessage(messageData, options);
+		return Webhook.createEmbed(notification);
+	}
+
 	async handleMessage (messageData, options = {}) {
 		if (!this.active) {
 			return;
@@ -69,11 +94,44 @@ module.exports = class Webhook extends require("./template.js") {
 			return null;
 		}
 
-		const userId = userData?.userId;
-		if (!userId || userId === null) {
+		const userIds = [userData?.userId].flat().filter(Boolean);
+		if (userIds.length === 0) {
 			return null;
 		}
 
-		return `<@${String(userId)}>`;
+		return userIds.map(i => `<@${String(i)}>`).join(" ");
+	}
+
+	/**
+	 * Renders a normalized notification into a Discord embed object.
+	 * @param {Object} notification Result of `Platform#prepareMessage`
+	 * @returns {Object}
+	 */
+	static createEmbed (notification) {
+		const embed = {
+			color: notification.color ?? undefined,
+			title: notification.title,
+			description: notification.description ?? undefined,
+			fields: notification.fields,
+			timestamp: notification.timestamp,
+			footer: {
+				text: notification.footer,
+				icon_url: notification.icon ?? undefined
+			}
+		};
+
+		if (notification.author) {
+			embed.author = {
+				name: notification.author,
+				icon_url: notification.icon ?? undefined
+			};
+		}
+		if (notification.thumbnail) {
+			embed.thumbnail = {
+				url: notification.thumbnail
+			};
+		}
+
+		return embed;
 	}
 };
@@ -3,6 +3,8 @@ const { combine, colorize, timestamp, printf } = format;
 const chalk = require("chalk");
 const util = require("node:util");
 
+const { redact, redactText } = require("./utils.js");
+
 class Logger {
 	constructor (config) {
 		this.loggerLevels = {
@@ -52,13 +54,23 @@ class Logger {
 		}
 	}
 
+	/**
+	 * Object payloads are inspected, cookies are redacted from them and from text.
+	 * Errors are not plain objects, they are only redacted once inspected.
+	 * @param {string} type
+	 * @param {*} text
+	 * @returns {{ type: string, text: * }}
+	 */
 	formatMessage (type, text) {
-		return { type, text };
+		const target = (text && typeof text === "object") ? util.inspect(redact(text)) : text;
+		return {
+			type,
+			text: (typeof target === "string") ? redactText(target) : target
+		};
 	}
 
 	log (type, text) {
-		const target = (typeof text === "object") ? util.inspect(text) : text;
-		this.winstonLogger.info(this.formatMessage(type, target));
+		this.winstonLogger.info(this.formatMessage(type, text));
 	}
 
 	info (type, text) {
@@ -74,12 +86,11 @@ class Logger {
 	}
 
 	debug (type, text) {
-		const target = (typeof text === "object") ? util.inspect(text) : text;
-		this.winstonLogger.debug(this.formatMessage(type, target));
+		this.winstonLogger.debug(this.formatMessage(type, text));
 	}
 
 	json (type, obj) {
-		this.winstonLogger.debug(this.formatMessage(type, util.inspect(obj)));
+		this.winstonLogger.debug(this.formatMessage(type, util.inspect(redact(obj))));
 	}
 }
 
@@ -1,5 +1,10 @@
 const crypto = require("node:crypto");
 
+// Values of the HoYoLAB cookie keys that grant access to an account, user IDs are kept for debugging
+const COOKIE_SECRET_REGEX = /\b(ltoken_v2|ltmid_v2|cookie_token_v2|account_mid_v2|ltoken|cookie_token|stoken|login_ticket|mid)=([^;\s"',]+)/g;
+const TOKEN_REGEX = /\bv2_[\w+/=-]{20,}/g;
+const REDACTED = "[REDACTED]";
+
 module.exports = class UtilsSingleton {
 	static DS_SALT = "6s25p5ox5y14umn1p61aqyyvbvvl3lrt";
 
@@ -10,6 +15,37 @@ module.exports = class UtilsSingleton {
 		s: { ms: 1.0e3 }
 	};
 
+	/**
+	 * Replaces the secret values of cookie-shaped strings, e.g. `ltoken_v2=...; ltuid_v2=1` becomes
+	 * `ltoken_v2=[REDACTED]; ltuid_v2=1`. Used by the logger and for error args, so it doesn't depend on `app`.
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	static redactText (text) {
+		return text
+			.replaceAll(COOKIE_SECRET_REGEX, (match, key) => `${key}=${REDACTED}`)
+			.replaceAll(TOKEN_REGEX, REDACTED);
+	}
+
+	/**
+	 * Redacts every string in a plain object or array, other values are returned unchanged.
+	 * @param {*} value
+	 * @returns {*}
+	 */
+	static redact (value) {
+		if (typeof value === "string") {
+			return UtilsSingleton.redactText(value);
+		}
+		else if (Array.isArray(value)) {
+			return value.map(i => UtilsSingleton.redact(i));
+		}
+		else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+			return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, UtilsSingleton.redact(item)]));
+		}
+
+		return value;
+	}
+
 	/**
 	 * @inheritdoc
 	 * @returns {UtilsSingleton}
@@ -66,9 +102,9 @@ module.exports = class UtilsSingleton {
 		return string.replace(/[_[\]()~`>#+\-=|{}.!]/g, "\\$&");
 	}
 
-	cheerio (html) {
+	cheerio (html, options) {
 		const cheerio = require("cheerio");
-		return cheerio.load(html);
+		return cheerio.load(html, options);
 	}
 
 	generateDS () {
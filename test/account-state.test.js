@@ -0,0 +1,93 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const AccountState = require("../object/account-state.js");
+
+const createAccount = () => ({
+	platform: "starrail",
+	uid: "700000001",
+	stamina: { check: true, threshold: 160, persistent: false },
+	expedition: { check: true, persistent: false },
+	reserve: { check: true, persistent: false }
+});
+
+// Migration to a hypothetical version 2 that stores the notified levels instead of a single threshold
+const migrateThreshold = (state) => ({
+	...state,
+	version: 2,
+	stamina: { fired: state.stamina.fired, notified: [state.stamina.threshold]}
+});
+
+describe("account state", () => {
+	const { version } = AccountState;
+
+	beforeEach(() => {
+		createApp();
+	});
+
+	afterEach(() => {
+		AccountState.version = version;
+		AccountState.migrations.clear();
+	});
+
+	it("restores the runtime state saved before a restart, but not the settings", async () => {
+		const account = createAccount();
+		account.stamina.fired = true;
+		account.stamina.notified = [160];
+		account.reserve.fullAt = 1722470400000;
+		account.reminders = { "dailies-reminder": "2024-7-31" };
+		await AccountState.save(account);
+
+		const restarted = createAccount();
+		restarted.stamina.persistent = true;
+		assert.equal(await AccountState.restore(restarted), true);
+
+		assert.deepEqual(restarted.stamina, { check: true, threshold: 160, persistent: true, fired: true, notified: [160]});
+		assert.equal(restarted.reserve.fullAt, 1722470400000);
+		assert.equal(restarted.expedition.fired, undefined);
+		assert.deepEqual(restarted.reminders, { "dailies-reminder": "2024-7-31" });
+	});
+
+	it("migrates a state stored by an older version", async () => {
+		await app.Cache.set({
+			key: AccountState.getCacheKey("starrail", "700000001"),
+			value: { version: 1, stamina: { fired: true, threshold: 160 } }
+		});
+
+		AccountState.version = 2;
+		AccountState.migrations.set(1, migrateThreshold);
+
+		const account = createAccount();
+		assert.equal(await AccountState.restore(account), true);
+		assert.deepEqual(account.stamina.notified, [160]);
+		assert.equal(account.stamina.fired, true);
+	});
+
+	it("discards a state it can't migrate", async () => {
+		const key = AccountState.getCacheKey("starrail", "700000001");
+		await app.Cache.set({
+			key,
+			value: { version: version + 1, stamina: { fired: true } }
+		});
+
+		const account = createAccount();
+		assert.equal(await AccountState.restore(account), false);
+		assert.equal(account.stamina.fired, undefined);
+		assert.equal(await app.Cache.get(key), undefined);
+	});
+
+	it("keeps the last of concurrent saves", async () => {
+		const account = createAccount();
+		account.stamina.fired = true;
+		const first = AccountState.save(account);
+
+		const changed = createAccount();
+		changed.stamina.fired = false;
+		await Promise.all([first, AccountState.save(changed)]);
+
+		const restarted = createAccount();
+		await AccountState.restore(restarted);
+		assert.equal(restarted.stamina.fired, false);
+	});
+});
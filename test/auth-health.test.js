@@ -0,0 +1,108 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const AuthHealth = require("../object/auth-health.js");
+const HoyoLab = require("../hoyolab-modules/template.js");
+
+const createConfig = (ltuid) => ({
+	id: 1,
+	active: true,
+	type: "genshin",
+	data: [
+		{
+			cookie: `ltoken_v2=a; ltuid_v2=${ltuid}; ltmid_v2=a`,
+			dailiesCheck: true,
+			weekliesCheck: true,
+			realm: { check: false, persistent: false },
+			stamina: { check: false, threshold: 150, persistent: false },
+			expedition: { check: false, persistent: false }
+		}
+	]
+});
+
+// Logs in as long as the cookie holds the given token, the cookie is rejected as expired otherwise
+const createLogin = (instance, validToken) => async (entry) => {
+	if (!entry.cookie.includes(`cookie_token_v2=${validToken}`)) {
+		return { retcode: -100 };
+	}
+
+	instance.accounts.push({ platform: instance.name, uid: "700000001", cookie: entry.cookie });
+};
+
+// Stands in for `CookieRefresher.apply`
+const replaceToken = (token) => {
+	for (const entry of HoyoLab.list.flatMap(i => i.data)) {
+		entry.cookie = `${entry.cookie.replace(/; cookie_token_v2=\w+/, "")}; cookie_token_v2=${token}`;
+	}
+};
+
+const createResponse = (cookie, retcode, context) => ({
+	request: { options: { headers: { cookie }, context } },
+	body: { retcode }
+});
+
+describe("auth health", () => {
+	let refreshes;
+	let refreshed;
+
+	beforeEach(() => {
+		refreshes = 0;
+		refreshed = null;
+		createApp({
+			HoyoLab,
+			CookieRefresher: {
+				refresh: async (cookie) => {
+					refreshes++;
+					if (!refreshed) {
+						return null;
+					}
+
+					replaceToken(refreshed);
+					return cookie;
+				}
+			}
+		});
+
+		mock.timers.enable({ apis: ["setTimeout"]});
+	});
+
+	afterEach(() => {
+		mock.timers.reset();
+		for (const instance of [...HoyoLab.list]) {
+			HoyoLab.remove(instance);
+		}
+	});
+
+	it("quarantines and retries an account whose expired cookie could not be refreshed", async () => {
+		const instance = HoyoLab.create("genshin", createConfig("1001"));
+		instance.loginAccount = createLogin(instance, "new");
+
+		await instance.login();
+
+		assert.equal(refreshes, 1);
+		assert.deepEqual(instance.status, { live: 0, expired: 1, failed: 1 });
+		assert.equal(AuthHealth.isExpired(instance.data[0].cookie), true);
+	});
+
+	it("logs in with a refreshed cookie without quarantining it", async () => {
+		refreshed = "new";
+		const instance = HoyoLab.create("genshin", createConfig("1002"));
+		instance.loginAccount = createLogin(instance, "new");
+
+		await instance.login();
+
+		assert.equal(refreshes, 1);
+		assert.deepEqual(instance.status, { live: 1, expired: 0, failed: 0 });
+		assert.match(instance.accounts[0].cookie, /cookie_token_v2=new/);
+	});
+
+	it("leaves expired login responses to the login", async () => {
+		const cookie = "ltoken_v2=a; ltuid_v2=1003; ltmid_v2=a; cookie_token_v2=old";
+		AuthHealth.inspect(createResponse(cookie, -100, { login: true }));
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.equal(refreshes, 0);
+		assert.equal(AuthHealth.isExpired(cookie), false);
+	});
+});
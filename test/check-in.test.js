@@ -0,0 +1,101 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const HoyoLab = require("../hoyolab-modules/template.js");
+const CheckIn = require("../crons/check-in/index.js");
+
+const createAccount = (id, type, cookie) => ({
+	id,
+	active: true,
+	type,
+	data: [
+		{
+			cookie,
+			dailiesCheck: true,
+			weekliesCheck: true,
+			realm: { check: false, persistent: false },
+			stamina: { check: false, threshold: 150, persistent: false },
+			expedition: { check: false, persistent: false }
+		}
+	]
+});
+
+const createMessage = (platform, uid) => ({
+	platform,
+	uid,
+	username: "Traveler",
+	region: "EU",
+	rank: 60,
+	total: 1,
+	result: "Successfully signed in",
+	award: { name: "Primogem", count: 20, icon: null },
+	assets: { game: platform, author: "Paimon", logo: null, color: 0 }
+});
+
+describe("check-in cron", () => {
+	let notifications;
+
+	beforeEach(() => {
+		notifications = [];
+		createApp({
+			HoyoLab,
+			Platform: {
+				notify: async (type, data) => {
+					notifications.push(data);
+					return 1;
+				}
+			}
+		});
+	});
+
+	afterEach(() => {
+		for (const instance of [...HoyoLab.list]) {
+			HoyoLab.remove(instance);
+		}
+	});
+
+	it("keeps checking in the other games when every account of a game failed to log in", async () => {
+		const failing = HoyoLab.create("genshin", createAccount(1, "genshin", "ltoken_v2=a; ltuid_v2=1; ltmid_v2=a; cookie_token_v2=a"));
+		failing.loginAccount = async () => {
+			throw new app.Error({ message: "HoYoLAB is unavailable" });
+		};
+
+		const working = HoyoLab.create("starrail", createAccount(2, "starrail", "ltoken_v2=b; ltuid_v2=2; ltmid_v2=b; cookie_token_v2=b"));
+		working.loginAccount = async (account) => {
+			working.accounts.push({ platform: working.name, uid: "200", cookie: account.cookie });
+		};
+
+		let checkedIn = false;
+		working.checkIn = async () => {
+			checkedIn = true;
+			return [];
+		};
+
+		await failing.login();
+		await working.login();
+
+		assert.deepEqual(failing.status, { live: 0, expired: 0, failed: 1 });
+		assert.deepEqual(await failing.checkIn(), []);
+
+		await CheckIn.code();
+		assert.equal(checkedIn, true);
+	});
+
+	it("mentions the owner of the account in the game that was checked in", async () => {
+		const genshin = HoyoLab.create("genshin", createAccount(1, "genshin", "ltoken_v2=a; ltuid_v2=1; ltmid_v2=a; cookie_token_v2=a"));
+		const starrail = HoyoLab.create("starrail", createAccount(2, "starrail", "ltoken_v2=b; ltuid_v2=2; ltmid_v2=b; cookie_token_v2=b"));
+
+		// The same UID in two games, owned by different users
+		genshin.accounts.push({ platform: "genshin", uid: "700000001", telegram: { userId: 1 } });
+		starrail.accounts.push({ platform: "starrail", uid: "700000001", telegram: { userId: 2 } });
+
+		genshin.checkIn = async () => [];
+		starrail.checkIn = async () => [createMessage("starrail", 700000001)];
+
+		await CheckIn.code();
+
+		assert.equal(notifications.length, 1);
+		assert.equal(notifications[0].mention.telegram.userId, 2);
+	});
+});
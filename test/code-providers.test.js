@@ -0,0 +1,63 @@
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const CodeProvider = require("../crons/code-redeem/providers/index.js");
+
+const fixture = (name) => path.join(__dirname, "fixtures", "code-sources", name);
+const codesOf = (list) => list.map(i => i.code).sort();
+const creating = (config) => () => CodeProvider.create(config);
+
+describe("code providers", () => {
+	beforeEach(() => {
+		createApp();
+	});
+
+	it("reads active and expired codes from a JSON source", async () => {
+		const provider = CodeProvider.create({ type: "json", file: fixture("codes.json") });
+		const codes = await provider.fetch();
+
+		assert.deepEqual(codes, [
+			{ code: "GENSHINGIFT48", rewards: ["Primogem x60"], expired: false },
+			{ code: "9SWT8ACPLTKV", rewards: [], expired: false },
+			{ code: "EXPIREDCODE01", rewards: [], expired: true }
+		]);
+	});
+
+	it("reads one code per line from a text file, ignoring comments", async () => {
+		const provider = CodeProvider.create({ type: "file", file: fixture("codes.txt") });
+		assert.deepEqual(codesOf(await provider.fetch()), ["9SWT8ACPLTKV", "GENSHINGIFT48"]);
+	});
+
+	it("only takes the code from the capture group of an RSS pattern", async () => {
+		const provider = CodeProvider.create({
+			type: "rss",
+			file: fixture("feed.xml"),
+			pattern: "[Cc]ode:\\s*([A-Z0-9]{10,15})"
+		});
+
+		// The build number and the article ID in the feed are not codes
+		assert.deepEqual(codesOf(await provider.fetch()), ["9SWT8ACPLTKV", "GENSHINGIFT48", "LIVESTREAM2024"]);
+	});
+
+	it("only searches the elements matching the selector of an HTML source", async () => {
+		const provider = CodeProvider.create({
+			type: "html",
+			file: fixture("page.html"),
+			selector: "table.codes td:first-child",
+			pattern: "^\\s*([A-Z0-9]{10,15})\\s*$"
+		});
+
+		assert.deepEqual(codesOf(await provider.fetch()), ["9SWT8ACPLTKV", "GENSHINGIFT48"]);
+	});
+
+	it("requires a pattern for RSS and HTML sources", () => {
+		assert.throws(creating({ type: "rss", file: fixture("feed.xml") }), /requires a pattern/);
+		assert.throws(creating({ type: "html", file: fixture("page.html"), selector: "td" }), /requires a pattern/);
+	});
+
+	it("rejects a pattern that is not a regular expression", () => {
+		assert.throws(creating({ type: "rss", file: fixture("feed.xml"), pattern: "([A-Z" }), /not a valid regular expression/);
+	});
+});
@@ -0,0 +1,64 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+
+describe("email digest", () => {
+	let email;
+
+	beforeEach(() => {
+		createApp();
+		const Email = require("../platforms/email.js");
+		email = new Email({
+			id: 1,
+			type: "email",
+			from: "bot@example.com",
+			to: ["owner@example.com"],
+			smtp: { host: "localhost", port: 25 },
+			digest: { enabled: true }
+		});
+	});
+
+	afterEach(() => {
+		const Platform = require("../platforms/template.js");
+		Platform.list.splice(Platform.list.indexOf(email), 1);
+		email.destroy();
+	});
+
+	const notification = (title) => ({
+		type: "stamina",
+		title,
+		fields: [],
+		timestamp: Date.now()
+	});
+
+	it("keeps notifications queued while the digest is being sent", async () => {
+		await email.queue(notification("Before"), ["owner@example.com"]);
+
+		const subjects = [];
+		email.send = async (message) => {
+			subjects.push(message.subject);
+			await email.queue(notification("During"), ["owner@example.com"]);
+		};
+
+		await email.sendDigest();
+
+		const queued = await app.Cache.get(email.digestKey);
+		assert.equal(subjects.length, 1);
+		assert.deepEqual(queued["owner@example.com"].map(i => i.title), ["During"]);
+	});
+
+	it("keeps the digest of a recipient it failed to send to", async () => {
+		await email.queue(notification("First"), ["a@example.com", "b@example.com"]);
+		email.send = async (message, options) => {
+			if (options.to === "a@example.com") {
+				throw new Error("SMTP unavailable");
+			}
+		};
+
+		await email.sendDigest();
+
+		const queued = await app.Cache.get(email.digestKey);
+		assert.deepEqual(Object.keys(queued), ["a@example.com"]);
+	});
+});
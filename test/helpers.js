@@ -0,0 +1,59 @@
+const Utils = require("../singleton/utils.js");
+
+const silent = {
+	error: () => {},
+	warn: () => {},
+	info: () => {},
+	log: () => {},
+	debug: () => {}
+};
+
+/**
+ * In-memory stand-in for `app.Cache`, values are cloned like they are when stored on disk.
+ */
+class MemoryCache {
+	#data = new Map();
+	sets = 0;
+
+	async get (key) {
+		return structuredClone(this.#data.get(key));
+	}
+
+	async set ({ key, value }) {
+		this.sets++;
+		this.#data.set(key, structuredClone(value));
+	}
+
+	async delete (key) {
+		this.#data.delete(key);
+	}
+}
+
+/**
+ * Sets up the `app` global with the modules that don't need a network connection.
+ * @param {Object} [overrides] Replaces or adds `app` members
+ * @returns {Object} The `app` global
+ */
+const createApp = (overrides = {}) => {
+	globalThis.app = {
+		AccountState: require("../object/account-state.js"),
+		AuthHealth: require("../object/auth-health.js"),
+		CodeLedger: require("../object/code-ledger.js"),
+		CookieRefresher: require("../object/cookie-refresher.js"),
+		CredentialStore: require("../object/credential-store.js"),
+		Date: require("../object/date.js"),
+		Error: require("../object/error.js"),
+		QuietHours: require("../object/quiet-hours.js"),
+		Cache: new MemoryCache(),
+		Logger: silent,
+		Utils: new Utils(),
+		...overrides
+	};
+
+	return globalThis.app;
+};
+
+module.exports = {
+	MemoryCache,
+	createApp
+};
@@ -0,0 +1,106 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const Platform = require("../platforms/template.js");
+const HTTP = require("../platforms/http.js");
+
+const SECRET = "webhook-secret";
+
+const notification = {
+	title: "Stamina Reminder",
+	description: "Your stamina is full!",
+	game: "Genshin Impact",
+	fields: [{ name: "Stamina", value: "200/200" }],
+	mention: { platform: "genshin", uid: "800000000", nickname: "Traveler", region: "os_asia" },
+	severity: "warning",
+	data: { currentStamina: 200, maxStamina: 200 }
+};
+
+// Verifies a request the way a receiver following setup/HTTP_WEBHOOK.md would
+const verify = ({ headers, body }) => {
+	const expected = crypto.createHmac("sha256", SECRET)
+		.update(`${headers["X-HoyoLab-Timestamp"]}.${body}`)
+		.digest("hex");
+
+	return headers["X-HoyoLab-Signature"] === `sha256=${expected}`;
+};
+
+describe("http platform", () => {
+	let requests;
+	let statusCodes;
+	let platform;
+
+	const createPlatform = (config = {}) => {
+		platform = new HTTP({
+			id: 1,
+			url: "http://127.0.0.1:8123/api/webhook/hoyolab",
+			retry: { limit: 2, delay: 1 },
+			...config
+		});
+
+		return platform;
+	};
+
+	beforeEach(() => {
+		requests = [];
+		statusCodes = [];
+		createApp({
+			Got: async (name, options) => {
+				requests.push(options);
+				return { statusCode: statusCodes.shift() ?? 200, statusMessage: "" };
+			}
+		});
+	});
+
+	afterEach(() => {
+		Platform.list.splice(Platform.list.indexOf(platform), 1);
+	});
+
+	it("signs the raw body with the timestamp it sends", async () => {
+		await createPlatform({ secret: SECRET }).notify(notification, { type: "stamina" });
+
+		const [request] = requests;
+		assert.equal(verify(request), true);
+		assert.ok(Math.abs(Number(request.headers["X-HoyoLab-Timestamp"]) - (Date.now() / 1000)) < 5);
+
+		const payload = JSON.parse(request.body);
+		assert.equal(payload.event, "stamina");
+		assert.deepEqual(payload.account, { uid: "800000000", nickname: "Traveler", region: "os_asia", game: "genshin" });
+		assert.deepEqual(payload.data, { currentStamina: 200, maxStamina: 200 });
+	});
+
+	it("fails verification once the body or the timestamp is changed", async () => {
+		await createPlatform({ secret: SECRET }).notify(notification, { type: "stamina" });
+
+		const [request] = requests;
+		assert.equal(verify({ ...request, body: request.body.replace("200/200", "199/200") }), false);
+
+		const headers = { ...request.headers, "X-HoyoLab-Timestamp": "0" };
+		assert.equal(verify({ ...request, headers }), false);
+	});
+
+	it("does not sign requests without a secret", async () => {
+		await createPlatform({ headers: { Authorization: "Bearer token" } }).notify(notification, { type: "stamina" });
+
+		const [request] = requests;
+		assert.equal(request.headers.Authorization, "Bearer token");
+		assert.equal(request.headers["X-HoyoLab-Signature"], undefined);
+	});
+
+	it("retries server errors with the same signed request", async () => {
+		statusCodes = [503, 200];
+		await createPlatform({ secret: SECRET }).notify(notification, { type: "stamina" });
+
+		assert.equal(requests.length, 2);
+		assert.deepEqual(requests[1].headers, requests[0].headers);
+		assert.equal(verify(requests[1]), true);
+	});
+
+	it("does not retry requests the receiver rejected", async () => {
+		statusCodes = [401];
+		await assert.rejects(createPlatform({ secret: SECRET }).notify(notification, { type: "stamina" }), /Failed to send HTTP notification/);
+		assert.equal(requests.length, 1);
+	});
+});
@@ -0,0 +1,100 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const Config = require("../classes/config.js");
+const HoyoLab = require("../hoyolab-modules/template.js");
+
+const COOKIE = "ltoken_v2=a; ltuid_v2=1001; ltmid_v2=a";
+
+describe("identities", () => {
+	let warnings;
+
+	beforeEach(() => {
+		warnings = [];
+		createApp({
+			HoyoLab,
+			Logger: {
+				warn: (module, message) => warnings.push(message),
+				error: () => {},
+				info: () => {}
+			}
+		});
+	});
+
+	afterEach(() => {
+		for (const instance of [...HoyoLab.list]) {
+			HoyoLab.remove(instance);
+		}
+	});
+
+	it("expands an identity into an entry for every enabled game", () => {
+		const { accounts } = Config.expandIdentities({
+			identities: [{ cookie: COOKIE, games: { zenless: false, honkai: false } }],
+			accounts: []
+		});
+
+		assert.deepEqual(accounts.map(i => i.type), ["genshin", "starrail"]);
+		assert.equal(accounts[0].data[0].stamina.threshold, 150);
+		assert.equal(accounts[0].data[0].identity, "Identity #1");
+	});
+
+	it("only skips the game a default is invalid for", () => {
+		const { accounts } = Config.expandIdentities({
+			identities: [
+				{
+					name: "Main",
+					cookie: COOKIE,
+					defaults: { stamina: { check: true, threshold: 230, persistent: false } },
+					games: { zenless: false, honkai: false }
+				}
+			],
+			accounts: [
+				{
+					id: 1,
+					active: true,
+					type: "genshin",
+					data: [
+						{
+							cookie: "ltoken_v2=b; ltuid_v2=1002; ltmid_v2=b",
+							dailiesCheck: true,
+							weekliesCheck: true,
+							realm: { check: false, persistent: false },
+							stamina: { check: true, threshold: 160, persistent: false },
+							expedition: { check: false, persistent: false }
+						}
+					]
+				}
+			]
+		});
+
+		// Genshin Impact has at most 200 resin, Honkai: Star Rail 300 Trailblaze Power
+		const genshin = HoyoLab.create("genshin", accounts.find(i => i.type === "genshin"));
+		const starrail = HoyoLab.create("starrail", accounts.find(i => i.type === "starrail"));
+
+		assert.deepEqual(genshin.data.map(i => i.ltuid), ["1002"]);
+		assert.equal(starrail.data[0].stamina.threshold, 230);
+
+		const skipped = warnings.filter(i => i.startsWith("Skipping identity"));
+		assert.equal(skipped.length, 1);
+		assert.match(skipped[0], /Skipping identity Main, .* Maximum stamina is 200/);
+	});
+
+	it("still rejects invalid settings of accounts that are not from an identity", () => {
+		const instance = HoyoLab.create("genshin", {
+			id: 1,
+			active: true,
+			type: "genshin",
+			data: [
+				{
+					cookie: COOKIE,
+					dailiesCheck: true,
+					weekliesCheck: true,
+					stamina: { check: true, threshold: 230, persistent: false }
+				}
+			]
+		});
+
+		assert.equal(instance, undefined);
+	});
+});
@@ -0,0 +1,153 @@
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const Crons = require("../crons/index.js");
+const NotesPoller = require("../crons/notes-poller/poller.js");
+const rules = require("../crons/notes-poller/rules/index.js");
+const Expedition = require("../crons/notes-poller/rules/expedition.js");
+const ReserveStamina = require("../crons/notes-poller/rules/reserve-stamina.js");
+const RealmCurrency = require("../crons/notes-poller/rules/realm-currency.js");
+const Stamina = require("../crons/notes-poller/rules/stamina.js");
+
+// Notes recorded from HoYoLAB, as returned by `platform.notes(account)`
+const recorded = (game) => require(path.join(__dirname, "fixtures", "notes", `${game}.json`));
+const snapshotOf = (account, data) => ({ account, data: structuredClone(data), timestamp: Date.now() });
+const namesOf = (sent) => sent.map(i => i.rule).sort();
+
+const createAccount = (platform, overrides = {}) => ({
+	platform,
+	uid: "700000001",
+	nickname: "Traveler",
+	region: "os_euro",
+	timezone: 1,
+	stamina: { check: true, threshold: 150, persistent: false },
+	expedition: { check: true, persistent: false },
+	realm: { check: true, persistent: false },
+	...overrides
+});
+
+describe("notes poller", () => {
+	let notifications;
+	let poller;
+
+	beforeEach(() => {
+		notifications = [];
+		createApp({
+			HoyoLab: {
+				get: () => ({ config: { regenRate: 360, reserveRegenRate: 1080 } }),
+				getRegion: () => "Europe"
+			},
+			Platform: {
+				notify: async (type, data) => {
+					notifications.push({ type, data });
+				}
+			}
+		});
+
+		poller = new NotesPoller();
+		for (const rule of rules) {
+			poller.subscribe(rule);
+		}
+	});
+
+	it("evaluates every rule against one recorded snapshot", async () => {
+		const account = createAccount("genshin");
+		const sent = await poller.publish(snapshotOf(account, recorded("genshin")), [Expedition, RealmCurrency, Stamina]);
+
+		assert.deepEqual(namesOf(sent), ["expedition", "realm-currency", "stamina"]);
+		assert.deepEqual(notifications.map(i => i.type).sort(), ["expedition", "realm-currency", "stamina"]);
+
+		const stamina = sent.find(i => i.rule === "stamina").notification;
+		assert.equal(stamina.description, "Your stamina is full!");
+		assert.equal(stamina.severity, "warning");
+	});
+
+	it("does not repeat a reminder until it was reset by a later snapshot", async () => {
+		const account = createAccount("genshin");
+		const data = recorded("genshin");
+
+		await poller.publish(snapshotOf(account, data), [Expedition]);
+		assert.equal((await poller.publish(snapshotOf(account, data), [Expedition])).length, 0);
+
+		const ongoing = structuredClone(data);
+		ongoing.expedition.completed = false;
+		assert.equal((await poller.publish(snapshotOf(account, ongoing), [Expedition])).length, 0);
+		assert.equal((await poller.publish(snapshotOf(account, data), [Expedition])).length, 1);
+	});
+
+	it("notifies once per stamina level that is reached", async () => {
+		const account = createAccount("starrail", {
+			stamina: {
+				check: true,
+				persistent: false,
+				levels: [{ threshold: 120 }, { threshold: 160, severity: "warning" }, { threshold: 240 }]
+			}
+		});
+
+		const data = recorded("starrail");
+		const [first] = await poller.publish(snapshotOf(account, data), [Stamina]);
+		assert.equal(first.notification.description, "Your stamina has reached 160!");
+		assert.equal(first.notification.severity, "warning");
+		assert.deepEqual(first.notification.fields.at(-1), { name: "Reserve", value: "1810/2400" });
+
+		assert.equal((await poller.publish(snapshotOf(account, data), [Stamina])).length, 0);
+
+		const higher = structuredClone(data);
+		higher.stamina.currentStamina = 245;
+		const [second] = await poller.publish(snapshotOf(account, higher), [Stamina]);
+		assert.equal(second.notification.description, "Your stamina has reached 240!");
+	});
+
+	it("warns about wasted stamina once both the stamina and the reserve are full", async () => {
+		const account = createAccount("starrail", { reserve: { check: true, persistent: false } });
+		const full = structuredClone(recorded("starrail"));
+		full.stamina.currentStamina = 300;
+		full.stamina.reserveStamina = 2400;
+		full.stamina.isReserveStaminaFull = true;
+
+		const [sent] = await poller.publish(snapshotOf(account, full), [ReserveStamina]);
+		assert.equal(sent.rule, "reserve-stamina");
+
+		// Wasted stamina is routine and waits for quiet hours and digests like any other reminder
+		assert.equal(sent.notification.severity, "warning");
+		assert.equal((await poller.publish(snapshotOf(account, full), [ReserveStamina])).length, 0);
+	});
+
+	it("skips rules that don't apply to the game of the snapshot", async () => {
+		const account = createAccount("starrail");
+		const sent = await poller.publish(snapshotOf(account, recorded("starrail")), [RealmCurrency, Expedition]);
+
+		assert.equal(sent.length, 0);
+		assert.equal(account.expedition.fired, false);
+	});
+});
+
+describe("notes poller cron", () => {
+	let warnings;
+
+	beforeEach(() => {
+		warnings = [];
+		createApp({
+			Logger: {
+				warn: (module, message) => warnings.push(message)
+			}
+		});
+	});
+
+	it("warns about the expressions of the crons it replaced", () => {
+		assert.deepEqual(Crons.warnLegacyCrons({ stamina: "0 */10 * * * *", checkIn: "0 0 0 * * *" }), ["stamina"]);
+		assert.equal(warnings.length, 1);
+		assert.match(warnings[0], /crons\.stamina .*crons\.notesPoller \("0 \*\/30 \* \* \* \*"\)/);
+
+		assert.deepEqual(Crons.warnLegacyCrons({ notesPoller: "0 */10 * * * *" }), []);
+		assert.equal(warnings.length, 1);
+	});
+
+	it("schedules the notes poller while any of its rules is enabled", () => {
+		assert.equal(Crons.getSchedule({ blacklist: ["stamina"]}).has("notes-poller"), true);
+		assert.equal(Crons.getSchedule({ whitelist: ["expedition"]}).has("notes-poller"), true);
+		assert.equal(Crons.getSchedule({ blacklist: rules.map(i => i.name) }).has("notes-poller"), false);
+	});
+});
@@ -0,0 +1,114 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const HoyoLab = require("../hoyolab-modules/template.js");
+const Platform = require("../platforms/template.js");
+const QuietHours = require("../object/quiet-hours.js");
+
+const HOUR = 3_600_000;
+
+class RecordingPlatform extends Platform {
+	sent = [];
+
+	constructor (config) {
+		super("recording", config);
+	}
+
+	async notify (notification, options = {}) {
+		this.sent.push({ notification, type: options.type });
+	}
+}
+
+const createConfig = (id, type) => ({
+	id,
+	active: true,
+	type,
+	data: [
+		{
+			cookie: `ltoken_v2=a; ltuid_v2=${id}; ltmid_v2=a; cookie_token_v2=a`,
+			dailiesCheck: true,
+			weekliesCheck: true,
+			realm: { check: false, persistent: false },
+			stamina: { check: false, threshold: 150, persistent: false },
+			expedition: { check: false, persistent: false }
+		}
+	]
+});
+
+const createNotification = (account, title) => ({
+	title,
+	description: `${title} for ${account.uid}`,
+	fields: [{ name: "Stamina", value: "160/200" }],
+	mention: account
+});
+
+describe("quiet hours", () => {
+	let platform;
+	let genshin;
+	let starrail;
+
+	beforeEach(() => {
+		createApp({ HoyoLab, Platform });
+		mock.timers.enable({ apis: ["Date"], now: new Date("2024-07-31T23:30:00Z") });
+
+		platform = new RecordingPlatform({ id: 1 });
+
+		// The same UID in two games, only the Genshin account has quiet hours. Star Rail is
+		// created first so a lookup that ignores the game finds the wrong account.
+		const starrailInstance = HoyoLab.create("starrail", createConfig(2, "starrail"));
+		const genshinInstance = HoyoLab.create("genshin", createConfig(1, "genshin"));
+
+		starrail = { platform: "starrail", uid: "700000001", timezone: 0, quietHours: null };
+		genshin = {
+			platform: "genshin",
+			uid: "700000001",
+			timezone: 0,
+			quietHours: new QuietHours({ start: "23:00", end: "07:00" })
+		};
+
+		starrailInstance.accounts.push(starrail);
+		genshinInstance.accounts.push(genshin);
+	});
+
+	afterEach(() => {
+		mock.timers.reset();
+		Platform.list.splice(Platform.list.indexOf(platform), 1);
+		for (const instance of [...HoyoLab.list]) {
+			HoyoLab.remove(instance);
+		}
+	});
+
+	it("defers notifications about an account during its quiet hours", async () => {
+		assert.equal(await Platform.notify("stamina", createNotification(genshin, "Stamina Reminder")), 0);
+		assert.equal(await Platform.notify("stamina", createNotification(starrail, "Stamina Reminder")), 1);
+
+		assert.equal(platform.sent.length, 1);
+		assert.equal(platform.sent[0].notification.mention, starrail);
+
+		const deferred = await app.Cache.get(platform.quietHoursKey);
+		assert.deepEqual(Object.keys(deferred), ["genshin-700000001"]);
+	});
+
+	it("never defers critical notifications", async () => {
+		const notification = { ...createNotification(genshin, "Cookie Expired"), severity: "critical" };
+		assert.equal(await Platform.notify("cookie-expired", notification), 1);
+	});
+
+	it("sends one summary once the quiet hours of the account have ended", async () => {
+		await Platform.notify("stamina", createNotification(genshin, "Stamina Reminder"));
+		await Platform.notify("expedition", createNotification(genshin, "Expedition Reminder"));
+
+		// Still quiet for the Genshin account, even though the Star Rail account with the same UID is not
+		await Platform.flushDeferred();
+		assert.equal(platform.sent.length, 0);
+
+		mock.timers.tick(8 * HOUR);
+		await Platform.flushDeferred();
+
+		assert.equal(platform.sent.length, 1);
+		assert.equal(platform.sent[0].type, "quiet-hours");
+		assert.equal(platform.sent[0].notification.mention, genshin);
+		assert.deepEqual(await app.Cache.get(platform.quietHoursKey), {});
+	});
+});
@@ -0,0 +1,97 @@
+const assert = require("node:assert/strict");
+const { afterEach, beforeEach, describe, it, mock } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const RequestScheduler = require("../classes/request-scheduler.js");
+
+const URL = "https://bbs-api-os.hoyolab.com/game_record/card/wapi/getGameRecordCard";
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const validating = (rateLimits) => () => RequestScheduler.validateLimits(rateLimits);
+
+describe("request scheduler", () => {
+	let rateLimits;
+
+	beforeEach(() => {
+		rateLimits = undefined;
+		createApp({
+			Config: {
+				get: (name) => (name === "rateLimits") ? rateLimits : undefined
+			}
+		});
+
+		mock.timers.enable({ apis: ["setTimeout", "Date"]});
+	});
+
+	afterEach(() => {
+		mock.timers.reset();
+	});
+
+	it("accepts the default and a valid rate limit config", () => {
+		RequestScheduler.validateLimits(undefined);
+		RequestScheduler.validateLimits({
+			host: { limit: 5, interval: 1000 },
+			endpoints: [{ path: "/common/apicdkey/api/webExchangeCdkey", limit: 1, interval: 6000 }]
+		});
+	});
+
+	it("rejects limits that would stall the token buckets", () => {
+		assert.throws(validating({ host: { limit: 0, interval: 1000 } }), /rateLimits.host/);
+		assert.throws(validating({ host: { limit: 5, interval: -1 } }), /rateLimits.host/);
+		assert.throws(validating({ host: { limit: "5", interval: 1000 } }), /rateLimits.host/);
+		assert.throws(validating({ endpoints: [{ path: "/redeem", limit: 1, interval: 0 }]}), /rateLimits.endpoints/);
+		assert.throws(validating({ endpoints: [{ limit: 1, interval: 1000 }]}), /rateLimits.endpoints/);
+		assert.throws(validating({ endpoints: {} }), /rateLimits.endpoints/);
+	});
+
+	it("throttles requests to the configured rate of the host", async () => {
+		rateLimits = { host: { limit: 2, interval: 1000 } };
+		const scheduler = new RequestScheduler();
+
+		let sent = 0;
+		const send = async () => {
+			sent++;
+			return { body: { retcode: 0 } };
+		};
+
+		const requests = [1, 2, 3].map(() => scheduler.request(send, URL));
+		await flush();
+		assert.equal(sent, 2);
+
+		mock.timers.tick(500);
+		await flush();
+		assert.equal(sent, 3);
+
+		await Promise.all(requests);
+	});
+
+	it("backs off exponentially while the API is busy", async () => {
+		const scheduler = new RequestScheduler();
+		const responses = [-1048, -1048, 0];
+
+		let sent = 0;
+		const send = async () => ({ body: { retcode: responses[sent++] } });
+
+		const request = scheduler.request(send, URL);
+		await flush();
+		assert.equal(sent, 1);
+
+		// 2 seconds after the first busy response
+		mock.timers.tick(1999);
+		await flush();
+		assert.equal(sent, 1);
+		mock.timers.tick(1);
+		await flush();
+		assert.equal(sent, 2);
+
+		// 4 seconds after the second one
+		mock.timers.tick(3999);
+		await flush();
+		assert.equal(sent, 2);
+		mock.timers.tick(1);
+		await flush();
+		assert.equal(sent, 3);
+
+		const res = await request;
+		assert.equal(res.body.retcode, 0);
+	});
+});
@@ -0,0 +1,101 @@
+const assert = require("node:assert/strict");
+const file = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+
+const { createApp } = require("./helpers.js");
+const Logger = require("../singleton/logger.js");
+const Vault = require("../object/vault.js");
+
+const COOKIE = "ltoken_v2=v2_secretltoken; ltuid_v2=1001; ltmid_v2=mid; cookie_token_v2=v2_secrettoken";
+const REFRESHED = "ltoken_v2=v2_secretltoken; ltuid_v2=1001; ltmid_v2=mid; cookie_token_v2=v2_refreshedtoken";
+
+const reading = (vault) => () => vault.read();
+const loading = (vaultPath) => () => app.CredentialStore.load(vaultPath);
+const namesOf = (list) => list.map(i => i.name);
+
+describe("credential vault", () => {
+	let directory;
+	let vaultPath;
+	let masterKey;
+
+	beforeEach(() => {
+		createApp();
+
+		directory = file.mkdtempSync(path.join(os.tmpdir(), "hoyolab-vault-"));
+		vaultPath = path.join(directory, "credentials.json");
+		masterKey = process.env.HOYOLAB_VAULT_KEY;
+		process.env.HOYOLAB_VAULT_KEY = "correct horse battery staple";
+	});
+
+	afterEach(() => {
+		if (masterKey === undefined) {
+			delete process.env.HOYOLAB_VAULT_KEY;
+		}
+		else {
+			process.env.HOYOLAB_VAULT_KEY = masterKey;
+		}
+
+		file.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it("reads back what was written, without storing it in plaintext", async () => {
+		const vault = new Vault(vaultPath, "correct horse battery staple");
+		assert.equal(vault.read(), null);
+
+		await vault.write({ cookies: { main: { cookie: COOKIE, updatedAt: 1 } } });
+
+		assert.deepEqual(vault.read(), { cookies: { main: { cookie: COOKIE, updatedAt: 1 } } });
+		assert.doesNotMatch(file.readFileSync(vaultPath, "utf8"), /secret/);
+		assert.equal(file.existsSync(`${vaultPath}.tmp`), false);
+	});
+
+	it("refuses to decrypt with a different master key", async () => {
+		await new Vault(vaultPath, "correct horse battery staple").write({ cookies: {} });
+
+		const vault = new Vault(vaultPath, "wrong key");
+		assert.throws(reading(vault), /Failed to decrypt the vault/);
+	});
+
+	it("keeps named and refreshed cookies across a restart", async () => {
+		app.CredentialStore.load(vaultPath);
+		await app.CredentialStore.setCookie("main", COOKIE);
+		await app.CredentialStore.setRefreshed(COOKIE, REFRESHED);
+
+		app.CredentialStore.load(vaultPath);
+		assert.deepEqual(namesOf(app.CredentialStore.list()), ["main"]);
+		assert.equal(app.CredentialStore.dereference("vault:main"), COOKIE);
+		assert.equal(app.CredentialStore.resolve(COOKIE), REFRESHED);
+
+		// A cookie supplied in the config after the refresh is used instead of the refreshed one
+		const replaced = COOKIE.replace("v2_secretltoken", "v2_newltoken");
+		assert.equal(app.CredentialStore.resolve(replaced), replaced);
+	});
+
+	it("requires the master key once the vault exists", async () => {
+		await new Vault(vaultPath, "correct horse battery staple").write({ cookies: {} });
+		delete process.env.HOYOLAB_VAULT_KEY;
+
+		assert.throws(loading(vaultPath), /vault is encrypted/);
+	});
+});
+
+describe("log redaction", () => {
+	beforeEach(() => {
+		createApp();
+	});
+
+	it("redacts cookies from text and object payloads", () => {
+		const logger = new Logger("error");
+
+		const { text } = logger.formatMessage("Test", `Logging in with ${COOKIE}`);
+		assert.doesNotMatch(text, /secret/);
+
+		const error = new Error(`Request failed with ${COOKIE}`);
+		const payload = logger.formatMessage("Test", { message: "Failed", args: { cookie: COOKIE, error } });
+		assert.equal(typeof payload.text, "string");
+		assert.match(payload.text, /Failed/);
+		assert.doesNotMatch(payload.text, /secret/);
+	});
+});
@@ -0,0 +1,114 @@
+const readline = require("node:readline/promises");
+
+const CredentialStore = require("./object/credential-store.js");
+
+globalThis.app = {
+	Error: require("./object/error.js")
+};
+
+const REQUIRED_KEYS = ["ltoken_v2", "ltuid_v2", "ltmid_v2"];
+
+const usage = [
+	"Usage: npm run vault -- <command> [name]",
+	"",
+	"Commands:",
+	"  list           List the names of the stored cookies",
+	"  add <name>     Add a cookie, referenced from config.json5 as cookie: 'vault:<name>'",
+	"  rotate <name>  Replace a stored cookie, e.g. after logging in to HoYoLAB again",
+	"  remove <name>  Remove a stored cookie",
+	"",
+	"The cookie is read from stdin, so it doesn't end up in your shell history.",
+	"The vault is encrypted with the master key from HOYOLAB_VAULT_KEY or the file HOYOLAB_VAULT_KEY_FILE points to."
+].join("\n");
+
+const readCookie = async () => {
+	const rl = readline.createInterface({
+		input: process.stdin,
+		output: (process.stdin.isTTY) ? process.stdout : null,
+		terminal: false
+	});
+
+	try {
+		const cookie = await rl.question("Paste the cookie and press enter: ");
+		return cookie.trim();
+	}
+	finally {
+		rl.close();
+	}
+};
+
+const validateCookie = (cookie) => {
+	const keys = cookie.split(";").map(i => i.trim().split("=")[0]);
+	const missing = REQUIRED_KEYS.filter(i => !keys.includes(i));
+	if (missing.length !== 0) {
+		throw new app.Error({
+			message: `The cookie is missing ${missing.join(", ")}, please follow the cookie guide: https://gist.github.com/torikushiii/59eff33fc8ea89dbc0b2e7652db9d3fd`
+		});
+	}
+};
+
+const run = async (command, name) => {
+	CredentialStore.load();
+	if (!CredentialStore.available) {
+		throw new app.Error({
+			message: "No master key set. Set HOYOLAB_VAULT_KEY or HOYOLAB_VAULT_KEY_FILE before using the vault."
+		});
+	}
+
+	if (command === "list") {
+		const entries = CredentialStore.list();
+		if (entries.length === 0) {
+			console.log("The vault has no cookies.");
+			return;
+		}
+
+		for (const entry of entries) {
+			console.log(`${entry.name} (updated ${new Date(entry.updatedAt).toISOString()})`);
+		}
+
+		return;
+	}
+
+	if (!name) {
+		throw new app.Error({
+			message: `No name provided.\n\n${usage}`
+		});
+	}
+
+	if (command === "remove") {
+		const removed = await CredentialStore.removeCookie(name);
+		console.log((removed) ? `Removed "${name}" from the vault.` : `There is no cookie named "${name}" in the vault.`);
+		return;
+	}
+
+	const exists = CredentialStore.has(name);
+	if (command === "add" && exists) {
+		throw new app.Error({
+			message: `A cookie named "${name}" already exists, use "rotate" to replace it.`
+		});
+	}
+	else if (command === "rotate" && !exists) {
+		throw new app.Error({
+			message: `There is no cookie named "${name}" in the vault, use "add" to add it.`
+		});
+	}
+
+	const cookie = await readCookie();
+	validateCookie(cookie);
+
+	await CredentialStore.setCookie(name, cookie);
+	console.log((exists)
+		? `Rotated "${name}". Restart the bot to log in with the new cookie.`
+		: `Added "${name}". Use it in config.json5 with cookie: 'vault:${name}'`);
+};
+
+const [command, name] = process.argv.slice(2);
+if (!["list", "add", "rotate", "remove"].includes(command)) {
+	console.log(usage);
+	process.exit(1);
+}
+
+run(command, name).catch((e) => {
+	console.error(e.message);
+	process.exit(1);
+});